@@ -1,15 +1,21 @@
+import { Transport, rate_limit_error, http_fetch } from './transport.mjs';
+import {
+    ForkConfig, SYNC_COMMITTEE_SIZE, fork_by_name, split_ssz_response, period_of_slot, verify_light_client_update, verify_light_client_bootstrap,
+    verify_next_sync_committee, verify_participation, verify_sync_aggregate, detect_light_client_update,
+} from './lightclient.mjs';
+import { NETWORKS, network_of_beacon, check_expected_network } from './networks.mjs';
+import { select_checks } from './profiles.mjs';
+import { run_checks, suitability_check, with_plugins } from './plugins.mjs';
+import { check_rate_limit } from './ratelimit.mjs';
+
 // Isomorphic environment setup
 const isBrowser = typeof window !== 'undefined';
 
-let crypto, fs, Buffer;
+let fs, Buffer;
 
-if (isBrowser) {
-    crypto = window.crypto;
-    Buffer = Uint8Array;
-} else {
+if (!isBrowser) {
     // Using dynamic import for Node.js modules
     await (async () => {
-        crypto = (await import('crypto')).default;
         fs = (await import('fs')).default;
         Buffer = (await import('buffer')).Buffer;
     })();
@@ -17,61 +23,6 @@ if (isBrowser) {
 
 // --- Helper functions ---
 
-const hash = async (...values) => {
-    const data = isBrowser ? concat_buffers(values.map(v => fromHex(v))) : Buffer.concat(values.map(v => fromHex(v)));
-    if (isBrowser) {
-        return new Uint8Array(await crypto.subtle.digest("SHA-256", data));
-    } else {
-        return crypto.createHash("sha256").update(data).digest();
-    }
-};
-
-const hash_roots = async (roots) => {
-    const results = [];
-    for (let i = 0; i < roots.length; i += 2) {
-        results.push(await hash(roots[i], (roots[i + 1] || (isBrowser ? new Uint8Array(32) : Buffer.alloc(32)))));
-    }
-    return results;
-};
-
-const hash_key = (key) => hash(key, (isBrowser ? new Uint8Array(16) : Buffer.alloc(16)));
-
-const fromHex = (hex) => {
-    if (hex instanceof Uint8Array || (Buffer && hex instanceof Buffer)) return hex;
-    const hexString = hex.toString().startsWith("0x") ? hex.substring(2) : hex;
-    if (isBrowser) {
-        const bytes = new Uint8Array(hexString.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(hexString.substr(i * 2, 2), 16);
-        }
-        return bytes;
-    } else {
-        return Buffer.from(hexString, "hex");
-    }
-};
-
-const concat_buffers = (buffers) => {
-    if (!isBrowser) return Buffer.concat(buffers);
-    let totalLength = 0;
-    for (const b of buffers) totalLength += b.length;
-    const result = new Uint8Array(totalLength);
-    let offset = 0;
-    for (const b of buffers) {
-        result.set(b, offset);
-        offset += b.length;
-    }
-    return result;
-}
-
-const compare_buffers = (a, b) => {
-    if (!isBrowser) return Buffer.compare(a, b);
-    if (a.length !== b.length) return 1;
-    for (let i = 0; i < a.length; i++) {
-        if (a[i] !== b[i]) return 1;
-    }
-    return 0;
-}
-
 function format_error_message(message) {
     if (typeof message !== 'string') return message;
 
@@ -109,71 +60,62 @@ function format_error_message(message) {
 }
 
 
-const split_bytes = (bytes, len) => new Array(Math.ceil(bytes.length / len)).fill(0).map((_, i) => bytes.slice(i * len, (i + 1) * len));
-const ELECTRA_NEXT_SYNC_COMMITTEE_GINDEX = 87;
-
-async function calculate_next_sync_committee_root(next_sync_committee) {
-    let roots = await Promise.all(next_sync_committee.pubkeys.map(hash_key));
-    while (roots.length > 1) roots = await hash_roots(roots);
-    return await hash(roots[0], await hash_key(next_sync_committee.aggregate_pubkey));
-}
-
-async function merkle_root_from_branch(gindex, branch, leaf) {
-    let root = leaf, i = 0;
-    while (gindex > 1) {
-        root = gindex % 2 ? await hash(branch[i++], root) : await hash(root, branch[i++]);
-        gindex = typeof gindex === 'bigint' ? gindex >> 1n : gindex >> 1;
-    }
-    return root;
-}
-
-class Node {
-    constructor(url) {
-        this.url = url.endsWith('/') ? url.slice(0, -1) : url;
+export class Node {
+    constructor(url, options = {}) {
+        this.transport = new Transport(url, options);
+        this.url = this.transport.url;
+        this.expected_network = options.network;
+        this.network = null;
         this.req_count = 0;
         this.req_time = 0;
     }
 
-    async exec(path, query, ssz) {
+    async exec(path, query, ssz, with_version) {
         let headers = {};
         if (ssz) headers['Accept'] = 'application/octet-stream';
         if (query) path += '?' + Object.entries(query).map(([key, value]) => `${key}=${value}`).join('&');
         const start_time = Date.now();
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 7000);
-
-        try {
-            const response = await fetch(this.url + path, { method: 'GET', headers, signal: controller.signal });
-            clearTimeout(timeoutId);
 
-            if (response.status !== 200) {
-                let txt = await response.text().then(r => r.trim());
-                throw new Error(format_error_message(txt));
-            }
-            this.req_count += 1;
-            this.req_time += Date.now() - start_time;
-            if (ssz) {
-                const content_type = response.headers.get('Content-Type');
-                if (content_type.includes('application/octet-stream')) {
-                    const buffer = await response.arrayBuffer();
-                    return isBrowser ? new Uint8Array(buffer) : Buffer.from(buffer);
-                } else if (content_type.includes('application/json')) {
-                    const json = await response.json();
-                    if (json.data || Array.isArray(json)) throw new Error('SSZ requested, but json delivered for ' + path);
-                    if (json.code && json.message) throw new Error(format_error_message(json.message + ' ssz requested, but json delivered'));
-                    throw new Error(`SSZ not supported for ${path} ( ${content_type} )`);
-                } else {
-                    throw new Error(`SSZ not supported for ${path} ( ${content_type} )`);
-                }
-            }
-            return await response.json();
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out after 7 seconds');
+        const response = await this.transport.fetch(this.url + path, { method: 'GET', headers });
+        if (response.status !== 200) {
+            let txt = await response.text().then(r => r.trim());
+            throw rate_limit_error(response, format_error_message(txt)) || new Error(format_error_message(txt));
+        }
+        this.req_count += 1;
+        this.req_time += Date.now() - start_time;
+        if (ssz) {
+            const content_type = response.headers.get('Content-Type');
+            if (content_type.includes('application/octet-stream')) {
+                const buffer = await response.arrayBuffer();
+                const data = isBrowser ? new Uint8Array(buffer) : Buffer.from(buffer);
+                return with_version ? { version: response.headers.get('Eth-Consensus-Version'), data } : data;
+            } else if (content_type.includes('application/json')) {
+                const json = await response.json();
+                if (json.data || Array.isArray(json)) throw new Error('SSZ requested, but json delivered for ' + path);
+                if (json.code && json.message) throw new Error(format_error_message(json.message + ' ssz requested, but json delivered'));
+                throw new Error(`SSZ not supported for ${path} ( ${content_type} )`);
+            } else {
+                throw new Error(`SSZ not supported for ${path} ( ${content_type} )`);
             }
-            throw error;
         }
+        return await response.json();
+    }
+
+    // The fork schedule of the node's network, fetched once per node.
+    // Falls back to the known schedule of the detected or expected network if the node does not serve it.
+    async fork_config() {
+        if (!this.fork_config_promise) {
+            this.fork_config_promise = Promise.all([
+                this.json('/eth/v1/config/spec').then(r => r.data),
+                this.json('/eth/v1/beacon/genesis').then(r => r.data.genesis_validators_root),
+            ]).then(([spec, genesis_validators_root]) => new ForkConfig(spec, genesis_validators_root), (error) => {
+                const network = NETWORKS[this.network || this.expected_network];
+                if (!network) throw error;
+                return new ForkConfig(network.spec, network.genesis_validators_root);
+            });
+            this.fork_config_promise.catch(() => this.fork_config_promise = null);
+        }
+        return this.fork_config_promise;
     }
 
     async json(path, query) {
@@ -184,6 +126,11 @@ class Node {
         return this.exec(path, query, true);
     }
 
+    // Fetches a single SSZ object together with the fork name of its `Eth-Consensus-Version` header.
+    async versioned_ssz(path, query) {
+        return this.exec(path, query, true, true);
+    }
+
     get avg_time() {
         return (this.req_count ? this.req_time / this.req_count : 0).toFixed(2) + ' ms';
     }
@@ -220,7 +167,7 @@ async function check_cors(node) {
             throw new Error('Request failed, likely due to restrictive CORS policy.');
         }
     } else {
-        const response = await fetch(node.url + '/eth/v1/node/version', {
+        const response = await node.transport.fetch(node.url + '/eth/v1/node/version', {
             method: 'GET',
             headers: { 'Origin': 'https://example.com' }
         });
@@ -261,7 +208,7 @@ async function check_sse_events(node) {
             };
         } else { // Node.js
             controller = new AbortController();
-            fetch(url, { signal: controller.signal }).then(async response => {
+            http_fetch(url, { headers: node.transport.headers(), signal: controller.signal }).then(async response => {
                 if (!response.ok) {
                     clearTimeout(timeout);
                     return reject(new Error(`Failed to connect to event stream: ${response.statusText}`));
@@ -303,77 +250,201 @@ async function historical_proof(node) {
     return 'ok';
 }
 
-async function check_lcu_json(node) {
+// Detects the network by the genesis validators root, the spec is optional but has to agree if it is served.
+async function check_network(node) {
+    const [spec, genesis] = await Promise.all([
+        node.json('/eth/v1/config/spec').then(r => r.data).catch(() => null),
+        node.json('/eth/v1/beacon/genesis').then(r => r.data),
+    ]);
+    node.network = network_of_beacon(spec, genesis.genesis_validators_root);
+    return check_expected_network(node.network, node.expected_network);
+}
+
+async function current_period(node) {
     const slot = await node.json('/eth/v1/beacon/headers/head').then(r => r.data.header.message.slot);
-    const period = slot >> 13;
-    for (let i = 0; i < 21; i++) {
-        const data = await node.json('/eth/v1/beacon/light_client/updates', { start_period: period - i, count: 1 }).then(r => r[0].data);
-        const sync_root = await calculate_next_sync_committee_root(data.next_sync_committee);
-        const state_root_calculated = await merkle_root_from_branch(ELECTRA_NEXT_SYNC_COMMITTEE_GINDEX, data.next_sync_committee_branch.map(fromHex), sync_root);
-        const state_root_expected = fromHex(data.attested_header.beacon.state_root);
-
-        if (compare_buffers(state_root_calculated, state_root_expected) !== 0) throw new Error(`Invalid Merkle Proof : State root mismatch (i: ${i})`);
+    const config = await node.fork_config().catch(() => null);
+    return period_of_slot(slot, config ? config.slots_per_period : undefined);
+}
+
+// Picks the fork of a JSON response by its `version` field, or by the slot of its header if it is missing.
+async function fork_of_json(node, { version, data }) {
+    if (version) return fork_by_name(version);
+    const config = await node.fork_config();
+    return config.fork_at_slot((data.attested_header || data.header).beacon.slot);
+}
+
+// Picks the fork of an SSZ chunk by its fork digest, or by trying every known layout if the digest is unknown.
+async function decode_lcu_ssz(node, chunk) {
+    const config = node.is_file ? null : await node.fork_config().catch(() => null);
+    const fork = config ? await config.fork_by_digest(chunk.digest) : null;
+    if (!fork) return detect_light_client_update(chunk.payload);
+    if (!fork.types) throw new Error(`Fork ${fork.name} has no light client support`);
+    const update = fork.types.LightClientUpdate.decode(chunk.payload);
+    await verify_light_client_update(update, fork);
+    return { fork, update };
+}
+
+const LCU_PERIODS = 21;
+const CHAIN_PERIODS = 64;
+const CHAIN_BATCH_SIZE = 16;
+
+// Checks that the update of period p is signed by the committee announced in the update of period p - 1.
+// The signature slot may already lie in the next period, which is then signed by the update's own next_sync_committee.
+async function verify_chained_update(update, previous, p, config) {
+    const participants = verify_participation(update.sync_aggregate);
+    const signature_period = period_of_slot(update.signature_slot, config.slots_per_period);
+    if (signature_period !== p && signature_period !== p + 1) throw new Error(`Signature slot ${update.signature_slot} outside of the update's period`);
+    const committee = signature_period === p ? previous.next_sync_committee : update.next_sync_committee;
+    await verify_sync_aggregate(update, committee, config);
+    return participants;
+}
+
+// Verifies the last LCU_PERIODS periods' updates: their merkle branches, the sync committee participation and the
+// sync aggregate signature, which is checked against the next_sync_committee of the previous period's update.
+// The update of the period before them is only fetched for the committee of the first one.
+async function check_lcu_json(node) {
+    const config = await node.fork_config();
+    const period = period_of_slot(await node.json('/eth/v1/beacon/headers/head').then(r => r.data.header.message.slot), config.slots_per_period);
+    const forks = new Set();
+    let previous = null, min_participants = Infinity;
+    for (let p = period - LCU_PERIODS; p <= period; p++) {
+        const response = await node.json('/eth/v1/beacon/light_client/updates', { start_period: p, count: 1 }).then(r => r[0]);
+        const fork = await fork_of_json(node, response);
+        const update = fork.types.LightClientUpdate.from_json(response.data);
+        try {
+            await verify_light_client_update(update, fork);
+            if (previous) {
+                min_participants = Math.min(min_participants, await verify_chained_update(update, previous, p, config));
+                forks.add(fork.name);
+            }
+        } catch (error) {
+            throw new Error(`${error.message} (period ${p})`);
+        }
+        previous = update;
     }
-    return 'ok';
+    return `ok (${[...forks].join(', ')}, participation >= ${min_participants}/${SYNC_COMMITTEE_SIZE})`;
 }
 
-async function check_lcu_ssz(node) {
-    let data = null;
-    if (node.is_file) {
-        data = node.file_content;
-    } else {
-        const slot = await node.json('/eth/v1/beacon/headers/head').then(r => r.data.header.message.slot);
-        const period = slot >> 13;
-        data = await node.ssz('/eth/v1/beacon/light_client/updates', { start_period: period, count: 1 });
+// Fetches the updates of the last CHAIN_PERIODS periods in batches and checks that they form an unbroken chain,
+// which is what a light client needs to catch up after being offline for that long. The update of the period before
+// them is only fetched for the committee of the first one.
+async function check_sync_committee_chain(node) {
+    const config = await node.fork_config();
+    const period = period_of_slot(await node.json('/eth/v1/beacon/headers/head').then(r => r.data.header.message.slot), config.slots_per_period);
+    const first = period - CHAIN_PERIODS;
+    let previous = null;
+    for (let start = first; start <= period; start += CHAIN_BATCH_SIZE) {
+        const count = Math.min(CHAIN_BATCH_SIZE, period - start + 1);
+        let responses;
+        try {
+            responses = await node.json('/eth/v1/beacon/light_client/updates', { start_period: start, count });
+        } catch (error) {
+            throw new Error(`Batch request for periods ${start}-${start + count - 1} failed: ${error.message}`);
+        }
+        if (!Array.isArray(responses)) throw new Error(`Unexpected response for periods ${start}-${start + count - 1}`);
+
+        for (let i = 0; i < count; i++) {
+            const p = start + i;
+            if (!responses[i]) throw new Error(`Chain has a gap at period ${p} (node returned ${responses.length} of ${count} updates for ${start}-${start + count - 1})`);
+            const fork = await fork_of_json(node, responses[i]);
+            const update = fork.types.LightClientUpdate.from_json(responses[i].data);
+            const attested_period = period_of_slot(update.attested_header.beacon.slot, config.slots_per_period);
+            if (attested_period !== p) throw new Error(`Chain has a gap at period ${p} (got update for period ${attested_period})`);
+            try {
+                await verify_light_client_update(update, fork);
+                if (previous) await verify_chained_update(update, previous, p, config);
+            } catch (error) {
+                throw new Error(`Chain breaks at period ${p}: ${error.message}`);
+            }
+            previous = update;
+        }
     }
+    return `ok (periods ${first + 1}-${period})`;
+}
 
-    // SSZ decoding logic...
-    // This part is tricky and might need a proper SSZ library to work robustly.
-    // The DataView/Buffer slicing approach is kept for now.
+const OPTIMISTIC_UPDATE_MAX_LAG_SLOTS = 8;
+const FINALITY_UPDATE_MAX_LAG_SLOTS = 8;
+const FINALIZED_HEADER_MAX_LAG_SLOTS = 4 * 32;
+
+// Fetches a single light client object (bootstrap, finality or optimistic update) as JSON or SSZ.
+async function fetch_lc_object(node, path, type_name, ssz) {
+    if (ssz) {
+        const { version, data } = await node.versioned_ssz(path);
+        let fork;
+        if (version) {
+            fork = fork_by_name(version);
+        } else {
+            const config = await node.fork_config();
+            fork = config.fork_at_slot(await node.json('/eth/v1/beacon/headers/head').then(r => r.data.header.message.slot));
+        }
+        return { fork, value: fork.types[type_name].decode(data) };
+    }
+    const response = await node.json(path);
+    const fork = await fork_of_json(node, response);
+    return { fork, value: fork.types[type_name].from_json(response.data) };
+}
 
-    function decode_ssz(ssz_data) {
-        const view = new DataView(ssz_data.buffer, ssz_data.byteOffset, ssz_data.byteLength);
+// The current sync committee of a period is the proven next_sync_committee of the previous period's update.
+async function sync_committee_of_period(node, period) {
+    const response = await node.json('/eth/v1/beacon/light_client/updates', { start_period: period - 1, count: 1 }).then(r => r[0]);
+    const fork = await fork_of_json(node, response);
+    const update = fork.types.LightClientUpdate.from_json(response.data);
+    await verify_next_sync_committee(update, fork);
+    return update.next_sync_committee;
+}
 
-        let offset = { start: 4 };
-        function read_ssz(len) {
-            const value = ssz_data.slice(offset.start, offset.start + len);
-            offset.start += len;
-            return value;
-        }
+async function check_lc_bootstrap(node, ssz) {
+    const block_root = await node.json('/eth/v1/beacon/states/head/finality_checkpoints').then(r => r.data.finalized.root);
+    const { fork, value } = await fetch_lc_object(node, `/eth/v1/beacon/light_client/bootstrap/${block_root}`, 'LightClientBootstrap', ssz);
+    await verify_light_client_bootstrap(value, fork, block_root);
+    return `ok (${fork.name}, slot ${value.header.beacon.slot})`;
+}
 
-        const next_sync_committee = read_ssz(513 * 48);
-        const next_sync_committee_branch = read_ssz(6 * 32);
-        const attested_header_offset = view.getUint32(0, true);
-        const attested_header_end_offset = view.getUint32(offset.start, true);
-        const attested_header = ssz_data.slice(attested_header_offset, attested_header_end_offset);
-
-        return {
-            state_root: attested_header.slice(48, 48 + 32),
-            next_sync_committee: {
-                pubkeys: split_bytes(next_sync_committee.slice(0, 512 * 48), 48),
-                aggregate_pubkey: next_sync_committee.slice(512 * 48, 513 * 48)
-            },
-            next_sync_committee_branch: split_bytes(next_sync_committee_branch, 32)
-        };
+// Verifies a finality or optimistic update and checks that its attested header follows the head closely.
+async function check_lc_recent_update(node, path, type_name, ssz) {
+    const config = await node.fork_config();
+    const head_slot = BigInt(await node.json('/eth/v1/beacon/headers/head').then(r => r.data.header.message.slot));
+    const { fork, value } = await fetch_lc_object(node, path, type_name, ssz);
+    await verify_light_client_update(value, fork);
+
+    const attested_lag = head_slot - value.attested_header.beacon.slot;
+    const max_lag = value.finalized_header ? FINALITY_UPDATE_MAX_LAG_SLOTS : OPTIMISTIC_UPDATE_MAX_LAG_SLOTS;
+    if (attested_lag > max_lag) throw new Error(`Update is stale: attested header is ${attested_lag} slots behind the head (max ${max_lag})`);
+    if (value.finalized_header) {
+        const finalized_lag = head_slot - value.finalized_header.beacon.slot;
+        if (finalized_lag > FINALIZED_HEADER_MAX_LAG_SLOTS) throw new Error(`Finalized header is ${finalized_lag} slots behind the head (max ${FINALIZED_HEADER_MAX_LAG_SLOTS})`);
     }
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const update = decode_ssz(data.slice(12, 12 + view.getUint32(0, true)));
 
-    const sync_root = await calculate_next_sync_committee_root(update.next_sync_committee);
-    const state_root_calculated = await merkle_root_from_branch(ELECTRA_NEXT_SYNC_COMMITTEE_GINDEX, update.next_sync_committee_branch, sync_root);
-    const state_root_expected = update.state_root;
+    const committee = await sync_committee_of_period(node, period_of_slot(value.signature_slot, config.slots_per_period));
+    await verify_sync_aggregate(value, committee, config);
+    return `ok (${fork.name}, attested ${attested_lag} slots behind head)`;
+}
 
-    if (compare_buffers(state_root_calculated, state_root_expected) !== 0) throw new Error("State root mismatch");
+const check_lc_finality_update = (node, ssz) => check_lc_recent_update(node, '/eth/v1/beacon/light_client/finality_update', 'LightClientFinalityUpdate', ssz);
+const check_lc_optimistic_update = (node, ssz) => check_lc_recent_update(node, '/eth/v1/beacon/light_client/optimistic_update', 'LightClientOptimisticUpdate', ssz);
 
-    return 'ok';
+async function check_lcu_ssz(node) {
+    let data = null;
+    if (node.is_file) {
+        data = node.file_content;
+    } else {
+        const period = await current_period(node);
+        data = await node.ssz('/eth/v1/beacon/light_client/updates', { start_period: period, count: 1 });
+    }
+
+    const chunks = split_ssz_response(data);
+    if (!chunks.length) throw new Error('Empty light client update response');
+    const { fork, update } = await decode_lcu_ssz(node, chunks[0]);
+    const participants = verify_participation(update.sync_aggregate);
+    return `ok (${fork.name}, participation ${participants}/${SYNC_COMMITTEE_SIZE})`;
 }
 
-export async function check_beacon_node(url, cb) {
-    const node = new Node(url);
-    const results = [];
-    const checks = node.is_file ? [
+export async function check_beacon_node(url, cb, options) {
+    const node = new Node(url, options);
+    const checks = select_checks('beacon', node.is_file ? [
         { name: 'light_client_update as ssz', fn: check_lcu_ssz, required: true },
-    ] : [
+    ] : with_plugins('beacon', [
+        { name: 'network', fn: check_network, required: true },
         { name: 'version', fn: check_version, required: true },
         { name: 'headers_by_parent', fn: check_parent_headers, required: true },
         { name: 'cors_headers', fn: check_cors, required: false },
@@ -381,21 +452,18 @@ export async function check_beacon_node(url, cb) {
         { name: 'block_as_ssz', fn: check_block_ssz, required: false },
         { name: 'light_client_update as ssz', fn: check_lcu_ssz, required: false },
         { name: 'light_client_update as json', fn: check_lcu_json, required: true },
+        { name: 'sync_committee_chain', fn: check_sync_committee_chain, required: false },
+        { name: 'light_client_bootstrap as json', fn: (node) => check_lc_bootstrap(node, false), required: false },
+        { name: 'light_client_bootstrap as ssz', fn: (node) => check_lc_bootstrap(node, true), required: false },
+        { name: 'light_client_finality_update as json', fn: (node) => check_lc_finality_update(node, false), required: false },
+        { name: 'light_client_finality_update as ssz', fn: (node) => check_lc_finality_update(node, true), required: false },
+        { name: 'light_client_optimistic_update as json', fn: (node) => check_lc_optimistic_update(node, false), required: false },
+        { name: 'light_client_optimistic_update as ssz', fn: (node) => check_lc_optimistic_update(node, true), required: false },
         { name: 'historical_proof', fn: historical_proof, required: false },
+        { name: 'rate_limit', fn: (node) => check_rate_limit(node, 'beacon'), required: false, opt_in: 'rate_limit' },
         { name: 'avg_response_time', fn: () => node.avg_time, required: false },
-        { name: 'colibri suitable', fn: () => { if (required_checks_failed.length) throw new Error('required checks failed: ' + required_checks_failed.join(', ')); return 'ok' }, required: false },
-    ];
+        suitability_check,
+    ]), options);
 
-    let required_checks_failed = [];
-    for (const check of checks) {
-        try {
-            const result = await check.fn(node);
-            results.push({ name: check.name, result, passed: true });
-        } catch (error) {
-            if (check.required) required_checks_failed.push(check.name);
-            results.push({ name: check.name, result: error.message, passed: false });
-        }
-        if (cb) cb(results[results.length - 1], checks);
-    }
-    return results;
+    return run_checks(checks, [node], cb);
 }
\ No newline at end of file
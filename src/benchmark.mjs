@@ -0,0 +1,226 @@
+// Benchmark mode: fires a weighted mix of representative calls at a node with a fixed concurrency for a
+// fixed duration and reports latency percentiles, throughput and the error rate per call type.
+import { Node } from './beacon.mjs';
+import { ExecutionNode } from './execution.mjs';
+import { ColibriNode } from './prover.mjs';
+import { NETWORKS } from './networks.mjs';
+import { period_of_slot } from './lightclient.mjs';
+import { escape_markdown } from './report.mjs';
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_DURATION_SECONDS = 10;
+
+// Number of recent blocks the execution calls are spread over, so they are not all answered from a cache.
+const RECENT_BLOCKS = 64;
+// Errors listed per call type, further distinct messages are only counted.
+const MAX_ERROR_MESSAGES = 5;
+
+const to_block = (number) => '0x' + number.toString(16);
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// The calls per node type. `setup` runs once before the benchmark and returns what the calls need.
+export const BENCHMARK_CALLS = {
+    beacon: {
+        client: Node,
+        setup: async (node) => {
+            const config = await node.fork_config();
+            const slot = await node.json('/eth/v1/beacon/headers/head').then(r => r.data.header.message.slot);
+            return { period: period_of_slot(slot, config.slots_per_period) };
+        },
+        calls: {
+            headers: (node) => node.json('/eth/v1/beacon/headers/head'),
+            light_client_update: (node, { period }) => node.json('/eth/v1/beacon/light_client/updates', { start_period: period, count: 1 }),
+            block_ssz: (node) => node.ssz('/eth/v2/beacon/blocks/head'),
+        },
+    },
+    execution: {
+        client: ExecutionNode,
+        setup: async (node) => {
+            const latest = BigInt(await node.rpc('eth_blockNumber'));
+            const blocks = Array.from({ length: RECENT_BLOCKS }, (_, i) => latest - BigInt(i)).filter(n => n >= 0n).map(to_block);
+            return { blocks, deposit_contract: node.network_params.deposit_contract };
+        },
+        calls: {
+            eth_getProof: (node, { blocks, deposit_contract }) => node.rpc('eth_getProof', [deposit_contract, ['0x0'], pick(blocks)]),
+            // get_deposit_count() of the deposit contract
+            eth_call: (node, { blocks, deposit_contract }) => node.rpc('eth_call', [{ to: deposit_contract, data: '0x621fd130' }, pick(blocks)]),
+            eth_getBlockReceipts: (node, { blocks }) => node.rpc('eth_getBlockReceipts', [pick(blocks)]),
+        },
+    },
+    colibri: {
+        client: ColibriNode,
+        setup: async () => ({}),
+        calls: {
+            proof: (node) => node.proof('eth_blockNumber', []),
+        },
+    },
+};
+
+/**
+ * Parses a call mix like `eth_getProof=3,eth_call=1,headers`, calls without a weight get the weight 1.
+ * @param {string} value
+ * @returns {Object<string, number>} the weight per call name
+ */
+export function parse_mix(value) {
+    const mix = {};
+    for (const entry of String(value).split(',').map(e => e.trim()).filter(Boolean)) {
+        const [name, weight = '1'] = entry.split('=').map(e => e.trim());
+        const known = Object.values(BENCHMARK_CALLS).some(({ calls }) => Object.hasOwn(calls, name));
+        if (!known) throw new Error(`Unknown benchmark call ${name}`);
+        mix[name] = Number(weight);
+        if (!Number.isFinite(mix[name]) || mix[name] < 0) throw new Error(`Invalid weight ${weight} of ${name}`);
+    }
+    return mix;
+}
+
+// The value below which `p` percent of the sorted values lie (nearest rank).
+export function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function summarize(name, stats, seconds) {
+    const sorted = stats.latencies.sort((a, b) => a - b);
+    const requests = sorted.length + stats.errors;
+    return {
+        name,
+        requests,
+        errors: stats.errors,
+        error_rate: requests ? stats.errors / requests : 0,
+        throughput: sorted.length / seconds,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        error_messages: stats.messages,
+    };
+}
+
+/**
+ * Benchmarks a node of a detected type.
+ * @param {string} url the url of the node
+ * @param {string} type the node type: beacon, execution or colibri
+ * @param {object} [options] the transport options of the node and
+ * @param {number} [options.concurrency] number of requests in flight
+ * @param {number} [options.duration] duration of the benchmark in seconds
+ * @param {Object<string, number>} [options.mix] weights of the calls, calls missing in it are not sent
+ * @param {string} [options.network] the network of the node, selects the contract of the execution calls
+ * @returns {Promise<{concurrency: number, duration: number, calls: Array<object>, total: object}>}
+ *          latencies are in ms of successful requests, throughput in successful requests per second
+ */
+export async function benchmark_node(url, type, options = {}) {
+    const definition = BENCHMARK_CALLS[type];
+    if (!definition) throw new Error(`Benchmarks are not supported for ${type} nodes`);
+    const concurrency = Math.max(1, Math.floor(Number(options.concurrency) || DEFAULT_CONCURRENCY));
+    const duration = Number(options.duration) || DEFAULT_DURATION_SECONDS;
+
+    // a mix naming none of the calls of this node type, e.g. for other nodes of the run, sends all of them
+    const weights = options.mix && Object.keys(definition.calls).some(name => Object.hasOwn(options.mix, name)) ? options.mix : null;
+    const mix = Object.keys(definition.calls)
+        .map(name => ({ name, weight: weights ? weights[name] || 0 : 1 }))
+        .filter(({ weight }) => weight > 0);
+    if (!mix.length) throw new Error(`No benchmark calls selected for ${type} nodes (${Object.keys(definition.calls).join(', ')})`);
+    const total_weight = mix.reduce((sum, { weight }) => sum + weight, 0);
+    const next_call = () => {
+        let r = Math.random() * total_weight;
+        return mix.find(({ weight }) => (r -= weight) < 0) || mix[mix.length - 1];
+    };
+
+    const node = new definition.client(url, options);
+    node.network = Object.hasOwn(NETWORKS, options.network || '') ? options.network : null;
+    let context;
+    try {
+        context = await definition.setup(node);
+    } catch (error) {
+        throw new Error(`Benchmark setup failed: ${error.message}`);
+    }
+
+    const stats = Object.fromEntries(mix.map(({ name }) => [name, { latencies: [], errors: 0, messages: {} }]));
+    const start = Date.now();
+    const end = start + duration * 1000;
+    const worker = async () => {
+        while (Date.now() < end) {
+            const { name } = next_call();
+            const call_stats = stats[name];
+            const call_start = Date.now();
+            try {
+                await definition.calls[name](node, context);
+                call_stats.latencies.push(Date.now() - call_start);
+            } catch (error) {
+                call_stats.errors += 1;
+                if (call_stats.messages[error.message] || Object.keys(call_stats.messages).length < MAX_ERROR_MESSAGES) {
+                    call_stats.messages[error.message] = (call_stats.messages[error.message] || 0) + 1;
+                }
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const seconds = (Date.now() - start) / 1000;
+    const all = Object.values(stats).reduce((sum, s) => ({
+        latencies: sum.latencies.concat(s.latencies),
+        errors: sum.errors + s.errors,
+        messages: {},
+    }), { latencies: [], errors: 0, messages: {} });
+    const { error_messages, ...total } = summarize('total', all, seconds);
+    return {
+        concurrency,
+        duration: seconds,
+        calls: mix.map(({ name }) => summarize(name, stats[name], seconds)),
+        total,
+    };
+}
+
+const ms = (value) => value === null ? '-' : `${value} ms`;
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// The rows of the benchmark table of a node: call, requests, errors, req/s, p50, p95, p99.
+export function benchmark_rows(benchmark) {
+    return [...benchmark.calls, benchmark.total].map(c => [
+        c.name, String(c.requests), percent(c.error_rate), c.throughput.toFixed(1), ms(c.p50), ms(c.p95), ms(c.p99),
+    ]);
+}
+
+const BENCHMARK_COLUMNS = ['call', 'requests', 'errors', 'req/s', 'p50', 'p95', 'p99'];
+
+export function benchmark_text(benchmark) {
+    const rows = [BENCHMARK_COLUMNS, ...benchmark_rows(benchmark)];
+    const widths = BENCHMARK_COLUMNS.map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    const lines = rows.map(row => row.map((cell, i) => i ? cell.padStart(widths[i]) : cell.padEnd(widths[i])).join('  '));
+    for (const call of benchmark.calls) {
+        for (const [message, count] of Object.entries(call.error_messages)) lines.push(`  ${call.name}: ${count}x ${message.replace(/\r?\n/g, ' ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renders the benchmark results of several nodes.
+ * A report is a list of `{ url, label, type, network, benchmark }` entries, or `{ url, label, error }`.
+ */
+export function render_benchmark(format, report) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify({ nodes: report }, null, 2);
+        case 'ndjson':
+            return report
+                .flatMap(entry => entry.error
+                    ? [JSON.stringify({ url: entry.url, label: entry.label, error: entry.error })]
+                    : entry.benchmark.calls.concat(entry.benchmark.total).map(call => JSON.stringify({ url: entry.url, label: entry.label, type: entry.type, ...call })))
+                .join('\n');
+        case 'markdown': {
+            const lines = ['# Node benchmark report', ''];
+            for (const entry of report) {
+                const name = escape_markdown(entry.label || entry.url);
+                if (entry.error) {
+                    lines.push(`## ${name}`, '', `❌ Failed to benchmark node: ${escape_markdown(entry.error)}`, '');
+                    continue;
+                }
+                lines.push(`## ${entry.type} node ${name}`, '',
+                    `${entry.benchmark.concurrency} concurrent requests for ${entry.benchmark.duration.toFixed(1)}s`, '',
+                    `| ${BENCHMARK_COLUMNS.join(' | ')} |`, `| ${BENCHMARK_COLUMNS.map(() => '---').join(' | ')} |`,
+                    ...benchmark_rows(entry.benchmark).map(row => `| ${row.map(escape_markdown).join(' | ')} |`), '');
+            }
+            return lines.join('\n');
+        }
+        default: throw new Error(`Unsupported benchmark format: ${format}`);
+    }
+}
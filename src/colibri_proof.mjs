@@ -0,0 +1,251 @@
+// SSZ types of the proofs returned by a Colibri prover (C4Request) and the verification of their Merkle branches.
+// Only the parts the checker looks into are fully typed, other union options are decoded as raw bytes.
+import {
+    container, union, list, vector, byte_list, byte_vector, bitvector, boolean, uint8, uint32, uint64, uint256,
+    Bytes20, Bytes32, Bytes48, Bytes96, to_hex, bytes_equal, count_bits, concat_gindices, merkle_root_from_branch, merkle_root_from_multi_proof,
+} from './ssz.mjs';
+import { BeaconBlockHeader, ExecutionPayloadHeaderDeneb, EXECUTION_PAYLOAD_GINDEX, SYNC_COMMITTEE_SIZE, fork_by_name } from './lightclient.mjs';
+
+const opaque = (name) => ({
+    name,
+    fixed_size: null,
+    decode: (bytes) => bytes,
+    serialize: (bytes) => bytes,
+    from_json() {
+        throw new Error(`JSON is not supported for ${name}`);
+    },
+    to_json() {
+        throw new Error(`JSON is not supported for ${name}`);
+    },
+    async hash_tree_root() {
+        throw new Error(`${name} is not merkleized by the checker`);
+    },
+});
+
+const ProofHeader = container('ProofHeader', [
+    ['slot', uint64],
+    ['proposer_index', uint64],
+    ['state_root', Bytes32],
+    ['body_root', Bytes32],
+]);
+
+// How the header of a proof is linked to a block signed by the sync committee.
+const HeaderProof = union('HeaderProof', [
+    container('SignatureProof', [
+        ['sync_committee_bits', bitvector(SYNC_COMMITTEE_SIZE)],
+        ['sync_committee_signature', Bytes96],
+    ]),
+    container('HistoricProof', [
+        ['proof', list(Bytes32, 128)],
+        ['header', BeaconBlockHeader],
+        ['gindex', uint64],
+        ['sync_committee_bits', bitvector(SYNC_COMMITTEE_SIZE)],
+        ['sync_committee_signature', Bytes96],
+    ]),
+    container('HeaderChainProof', [
+        ['headers', list(ProofHeader, 128)],
+        ['header', BeaconBlockHeader],
+        ['sync_committee_bits', bitvector(SYNC_COMMITTEE_SIZE)],
+        ['sync_committee_signature', Bytes96],
+    ]),
+]);
+
+export const BlockNumberProof = container('BlockNumberProof', [
+    ['block_number', uint64],
+    ['timestamp', uint64],
+    ['proof', list(Bytes32, 256)],
+    ['header', BeaconBlockHeader],
+    ['header_proof', HeaderProof],
+]);
+
+const DENEB = fork_by_name('deneb').types;
+const ELECTRA = fork_by_name('electra').types;
+
+const LCSyncData = container('LCSyncData', [
+    ['bootstrap', union('LightClientBootstrap', [null, DENEB.LightClientBootstrap, ELECTRA.LightClientBootstrap])],
+    ['update', list(union('LightClientUpdate', [DENEB.LightClientUpdate, ELECTRA.LightClientUpdate]), 1024)],
+]);
+
+const ZKSyncData = container('ZKSyncData', [
+    ['vk_hash', Bytes32],
+    ['proof', byte_vector(260)],
+    ['header', BeaconBlockHeader],
+    ['pubkeys', vector(Bytes48, SYNC_COMMITTEE_SIZE)],
+    ['checkpoint', HeaderProof],
+    ['signatures', list(byte_vector(65), 16)],
+]);
+
+// Results of RPC methods as embedded in the `data` of a request. `_optmask` flags the optional fields which are set.
+export const Log = container('Log', [
+    ['block_hash', Bytes32],
+    ['block_number', uint64],
+    ['transaction_hash', Bytes32],
+    ['transaction_index', uint32],
+    ['address', Bytes20],
+    ['log_index', uint32],
+    ['removed', boolean],
+    ['topics', list(Bytes32, 8)],
+    ['data', byte_list(1 << 30)],
+]);
+
+export const EthReceiptData = container('EthReceiptData', [
+    ['_optmask', uint32],
+    ['block_hash', Bytes32],
+    ['block_number', uint64],
+    ['transaction_hash', Bytes32],
+    ['transaction_index', uint32],
+    ['type', uint8],
+    ['from', Bytes20],
+    ['to', byte_list(20)],
+    ['cumulative_gas_used', uint64],
+    ['gas_used', uint64],
+    ['logs', list(Log, 256)],
+    ['logs_bloom', byte_vector(256)],
+    ['status', uint8],
+    ['effective_gas_price', uint64],
+    ['deposit_nonce', uint64],
+    ['deposit_receipt_version', uint32],
+]);
+
+export const EthBlockData = container('EthBlockData', [
+    ['_optmask', uint32],
+    ['number', uint64],
+    ['hash', Bytes32],
+    ['transactions', union('EthBlockTransactions', [list(Bytes32, 4096), list(opaque('EthTransactionData'), 4096)])],
+    ['logs_bloom', byte_vector(256)],
+    ['receipts_root', Bytes32],
+    ['extra_data', byte_list(32)],
+    ['withdrawals_root', Bytes32],
+    ['base_fee_per_gas', uint256],
+    ['nonce', byte_vector(8)],
+    ['miner', Bytes20],
+    ['withdrawals', list(container('Withdrawal', [
+        ['index', uint64],
+        ['validator_index', uint64],
+        ['address', Bytes20],
+        ['amount', uint64],
+    ]), 4096)],
+    ['excess_blob_gas', uint64],
+    ['difficulty', uint64],
+    ['gas_limit', uint64],
+    ['gas_used', uint64],
+    ['timestamp', uint64],
+    ['mix_hash', Bytes32],
+    ['parent_hash', Bytes32],
+    ['uncles', list(Bytes32, 4096)],
+    ['parent_beacon_block_root', Bytes32],
+    ['sha3_uncles', Bytes32],
+    ['transactions_root', Bytes32],
+    ['state_root', Bytes32],
+    ['blob_gas_used', uint64],
+    ['requests_hash', Bytes32],
+]);
+
+export const C4Request = container('C4Request', [
+    ['version', byte_vector(4)],
+    ['data', union('C4RequestData', [
+        null, Bytes32, byte_list(1 << 30), uint256, opaque('EthTransactionData'), EthReceiptData, list(Log, 1024),
+        EthBlockData, opaque('EthProofData'), opaque('SimulationResult'), opaque('EthBlockHeaderData'),
+    ])],
+    ['proof', union('C4RequestProof', [
+        null, opaque('AccountProof'), opaque('TransactionProof'), opaque('ReceiptProof'), opaque('LogsProof'), opaque('CallProof'),
+        opaque('SyncProof'), opaque('BlockProof'), BlockNumberProof, opaque('WitnessProof'), opaque('BlockHeaderProof'),
+    ])],
+    ['sync_data', union('C4RequestSyncData', [null, LCSyncData, ZKSyncData])],
+]);
+
+// The name of the selected option of a decoded union, 'None' for empty options.
+export const union_option = (type, { selector }) => type.options[selector] ? type.options[selector].name : 'None';
+
+// blockNumber and timestamp of the execution payload, relative to the body root of the beacon block
+const BLOCK_NUMBER_GINDEX = concat_gindices(EXECUTION_PAYLOAD_GINDEX, ExecutionPayloadHeaderDeneb.gindex('block_number'));
+const TIMESTAMP_GINDEX = concat_gindices(EXECUTION_PAYLOAD_GINDEX, ExecutionPayloadHeaderDeneb.gindex('timestamp'));
+
+/**
+ * decodes a Colibri proof and checks its structure.
+ * @param {Uint8Array} bytes the SSZ encoded C4Request
+ * @returns {object} the decoded request with `proof_type` and `sync_type` naming the selected union options
+ */
+export function decode_c4_request(bytes) {
+    let request;
+    try {
+        request = C4Request.decode(bytes);
+    } catch (error) {
+        throw new Error(`Invalid proof structure: ${error.message}`);
+    }
+    const [, data_type] = C4Request.fields[1];
+    const [, proof_type] = C4Request.fields[2];
+    const [, sync_type] = C4Request.fields[3];
+    return {
+        ...request,
+        data_type: union_option(data_type, request.data),
+        proof_type: union_option(proof_type, request.proof),
+        sync_type: union_option(sync_type, request.sync_data),
+    };
+}
+
+/**
+ * follows the header proof from the proven header to the header signed by the sync committee: a SignatureProof signs
+ * the proven header itself, a HistoricProof proves its root at `gindex` in the state of the signed header (block_roots
+ * or historical_summaries) and a HeaderChainProof links it to the signed header by the parent roots of the headers between.
+ * @param {object} header the proven header
+ * @param {object} header_proof the decoded HeaderProof union
+ * @returns {Promise<object>} the signed header with its sync aggregate, in the shape of a light client update
+ */
+export async function verify_header_proof(header, header_proof) {
+    const { value } = header_proof;
+    const root = await BeaconBlockHeader.hash_tree_root(header);
+    let signed = header;
+    switch (union_option(HeaderProof, header_proof)) {
+        case 'HistoricProof': {
+            const state_root = await merkle_root_from_branch(value.gindex, value.proof, root);
+            if (!bytes_equal(state_root, value.header.state_root)) {
+                throw new Error(`Historic proof of slot ${header.slot} does not match the state root ${to_hex(value.header.state_root)} of the signed slot ${value.header.slot}`);
+            }
+            signed = value.header;
+            break;
+        }
+        case 'HeaderChainProof': {
+            let parent_root = root;
+            for (const { slot, proposer_index, state_root, body_root } of value.headers) {
+                parent_root = await BeaconBlockHeader.hash_tree_root({ slot, proposer_index, parent_root, state_root, body_root });
+            }
+            if (!bytes_equal(parent_root, value.header.parent_root)) {
+                throw new Error(`Header chain of slot ${header.slot} does not lead to the parent root ${to_hex(value.header.parent_root)} of the signed slot ${value.header.slot}`);
+            }
+            signed = value.header;
+            break;
+        }
+    }
+    if (signed.slot < header.slot) throw new Error(`Signed slot ${signed.slot} is older than the proven slot ${header.slot}`);
+    return {
+        attested_header: { beacon: signed },
+        sync_aggregate: { sync_committee_bits: value.sync_committee_bits, sync_committee_signature: value.sync_committee_signature },
+        // the sync aggregate of the next block signs the header
+        signature_slot: signed.slot + 1n,
+    };
+}
+
+/**
+ * verifies the multiproof of blockNumber and timestamp against the body root of the proven header, and the header
+ * proof up to the signed header, whose sync aggregate signature is left to the caller, since it needs the sync committee.
+ * @returns {Promise<{block_number: number, timestamp: number, slot: number, participants: number, header_proof: string, signed: object}>}
+ */
+export async function verify_block_number_proof(proof) {
+    const leaves = new Map([
+        [BLOCK_NUMBER_GINDEX, await uint64.hash_tree_root(proof.block_number)],
+        [TIMESTAMP_GINDEX, await uint64.hash_tree_root(proof.timestamp)],
+    ]);
+    const body_root = await merkle_root_from_multi_proof(leaves, proof.proof);
+    if (!bytes_equal(body_root, proof.header.body_root)) {
+        throw new Error(`Merkle proof of blockNumber and timestamp does not match the body root ${to_hex(proof.header.body_root)} of slot ${proof.header.slot}`);
+    }
+    return {
+        block_number: Number(proof.block_number),
+        timestamp: Number(proof.timestamp),
+        slot: Number(proof.header.slot),
+        participants: count_bits(proof.header_proof.value.sync_committee_bits),
+        header_proof: union_option(HeaderProof, proof.header_proof),
+        signed: await verify_header_proof(proof.header, proof.header_proof),
+    };
+}
@@ -1,5 +1,9 @@
-// Isomorphic helper to detect whether a node exposes the Beacon REST API or the Execution JSON-RPC API.
-const DETECTION_TIMEOUT = 7000;
+// Isomorphic helper to detect whether a node exposes the Beacon REST API or the Execution JSON-RPC API,
+// and which network it is on.
+import { Transport, DEFAULT_TIMEOUT } from './transport.mjs';
+import { network_of_chain_id, network_of_beacon } from './networks.mjs';
+
+const DETECTION_TIMEOUT = DEFAULT_TIMEOUT;
 
 const rpcPayload = JSON.stringify({
     jsonrpc: '2.0',
@@ -21,6 +25,15 @@ const normalizeUrl = (rawUrl) => {
     return trimmed.endsWith('/') ? trimmed.slice(0, -1) : trimmed;
 };
 
+// Thrown if no probe recognizes the node, reported apart from the failures of nodes whose type is known.
+export class DetectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DetectionError';
+        this.category = 'detection';
+    }
+}
+
 const describeError = (error) => {
     if (!error) return 'unknown error';
     if (typeof error === 'string') return error;
@@ -32,21 +45,8 @@ const describeError = (error) => {
     }
 };
 
-async function fetchWithTimeout(resource, options = {}) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), options.timeout || DETECTION_TIMEOUT);
-    const config = { ...options, signal: controller.signal };
-    delete config.timeout;
-
-    try {
-        return await fetch(resource, config);
-    } finally {
-        clearTimeout(timeout);
-    }
-}
-
-async function probeBeacon(url) {
-    const response = await fetchWithTimeout(`${url}/eth/v1/node/version`, { method: 'GET' });
+async function probeBeacon(transport) {
+    const response = await transport.fetch(`${transport.url}/eth/v1/node/version`, { method: 'GET' });
     if (!response.ok) {
         throw new Error(`HTTP ${response.status}`);
     }
@@ -55,8 +55,8 @@ async function probeBeacon(url) {
     return 'beacon';
 }
 
-async function probeExecution(url) {
-    const response = await fetchWithTimeout(url, {
+async function probeExecution(transport) {
+    const response = await transport.fetch(transport.url, {
         method: 'POST',
         headers: rpcHeaders,
         body: rpcPayload,
@@ -74,8 +74,8 @@ async function probeExecution(url) {
     throw new Error('Unexpected RPC response');
 }
 
-async function probeColibri(url) {
-    const response = await fetchWithTimeout(`${url}/version`, { method: 'GET' });
+async function probeColibri(transport) {
+    const response = await transport.fetch(`${transport.url}/version`, { method: 'GET' });
     if (!response.ok) {
         throw new Error(`HTTP ${response.status}`);
     }
@@ -89,23 +89,66 @@ async function probeColibri(url) {
     return 'colibri';
 }
 
-export async function detectNodeType(rawUrl) {
+async function getJson(transport, path) {
+    const response = await transport.fetch(`${transport.url}${path}`, { method: 'GET' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json().then(json => json.data);
+}
+
+async function beaconNetwork(transport) {
+    const [spec, genesis] = await Promise.all([
+        getJson(transport, '/eth/v1/config/spec'),
+        getJson(transport, '/eth/v1/beacon/genesis'),
+    ]);
+    return network_of_beacon(spec, genesis.genesis_validators_root);
+}
+
+async function executionNetwork(transport) {
+    const response = await transport.fetch(transport.url, {
+        method: 'POST',
+        headers: rpcHeaders,
+        body: JSON.stringify({ jsonrpc: '2.0', method: 'eth_chainId', params: [], id: 1 }),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const json = await response.json();
+    if (json.error) {
+        throw new Error(describeError(json.error));
+    }
+    return network_of_chain_id(json.result);
+}
+
+// Colibri provers don't expose their chain, so their network is left to the checks.
+const NETWORK_PROBES = {
+    beacon: beaconNetwork,
+    execution: executionNetwork,
+};
+
+// `options` are the transport options (headers, credentials, timeout, retries) of the node.
+export async function detectNodeType(rawUrl, options = {}) {
     const normalizedUrl = normalizeUrl(rawUrl);
+    const transport = new Transport(normalizedUrl, { timeout: DETECTION_TIMEOUT, ...options });
     const probes = [
-        { type: 'beacon', fn: () => probeBeacon(normalizedUrl) },
-        { type: 'execution', fn: () => probeExecution(normalizedUrl) },
-        { type: 'colibri', fn: () => probeColibri(normalizedUrl) },
+        { type: 'beacon', fn: () => probeBeacon(transport) },
+        { type: 'execution', fn: () => probeExecution(transport) },
+        { type: 'colibri', fn: () => probeColibri(transport) },
     ];
 
     const results = await Promise.allSettled(probes.map((probe) => probe.fn()));
 
     for (let i = 0; i < probes.length; i++) {
         if (results[i].status === 'fulfilled') {
-            return { type: probes[i].type, url: normalizedUrl };
+            const type = probes[i].type;
+            // `network` is null if it could not be detected, the network check of the node reports why
+            const network = NETWORK_PROBES[type] ? await NETWORK_PROBES[type](transport).catch(() => null) : null;
+            return { type, url: normalizedUrl, network };
         }
     }
 
     const messages = probes.map((probe, index) => `${probe.type}: ${describeError(results[index].reason)}`).join(', ');
-    throw new Error(`Unable to detect node type (${messages})`);
+    throw new DetectionError(`Unable to detect node type (${messages})`);
 }
 
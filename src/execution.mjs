@@ -1,6 +1,22 @@
+import { Transport, rate_limit_error, is_offline } from './transport.mjs';
+import { verify_account_proof, receipts_root } from './mpt.mjs';
+import { NETWORKS, network_of_chain_id, check_expected_network } from './networks.mjs';
+import { select_checks } from './profiles.mjs';
+import { run_checks, suitability_check, with_plugins } from './plugins.mjs';
+import { check_rate_limit } from './ratelimit.mjs';
+
 // Isomorphic environment setup
 const isBrowser = typeof window !== 'undefined';
 
+let WebSocketClient;
+
+if (isBrowser) {
+    WebSocketClient = window.WebSocket;
+} else {
+    // the ws package, unlike the native WebSocket of Node.js 20, can send the auth headers of the transport
+    WebSocketClient = (await import('ws')).default;
+}
+
 function format_error_message(message) {
     if (typeof message !== 'string') return message;
 
@@ -37,9 +53,15 @@ function format_error_message(message) {
     return message;
 }
 
-class ExecutionNode {
-    constructor(url) {
-        this.url = url.endsWith('/') ? url.slice(0, -1) : url;
+export class ExecutionNode {
+    constructor(url, options = {}) {
+        this.transport = new Transport(url, options);
+        this.url = this.transport.url;
+        this.ws_url = options.ws_url || this.url.replace(/^http/i, 'ws');
+        this.expected_network = options.network;
+        // whether the eth_getProof check searches the state retention window
+        this.state_window = !!options.state_window;
+        this.network = null;
         this.req_count = 0;
         this.req_time = 0;
         this.id = 1;
@@ -47,44 +69,69 @@ class ExecutionNode {
 
     async rpc(method, params) {
         const start_time = Date.now();
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 7000);
+        const response = await this.transport.fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                method,
+                params: params || [],
+                id: this.id++,
+            }),
+        });
+        this.req_count += 1;
+        this.req_time += Date.now() - start_time;
 
-        try {
-            const response = await fetch(this.url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    method,
-                    params: params || [],
-                    id: this.id++,
-                }),
-                signal: controller.signal,
-            });
-            clearTimeout(timeoutId);
-            this.req_count += 1;
-            this.req_time += Date.now() - start_time;
-
-            if (response.status !== 200) {
-                const txt = await response.text().then(r => r.trim());
-                throw new Error(`HTTP Error ${response.status}: ${format_error_message(txt)}`);
-            }
+        if (response.status !== 200) {
+            const txt = await response.text().then(r => r.trim());
+            throw rate_limit_error(response, format_error_message(txt)) || new Error(`HTTP Error ${response.status}: ${format_error_message(txt)}`);
+        }
 
-            const json = await response.json();
-            if (json.error) {
-                throw new Error(`RPC Error: ${format_error_message(JSON.stringify(json.error))}`);
-            }
-            return json.result;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out after 7 seconds');
-            }
-            throw error;
+        const json = await response.json();
+        if (json.error) {
+            const message = format_error_message(JSON.stringify(json.error));
+            throw rate_limit_error(response, message, json.error) || new Error(`RPC Error: ${message}`);
+        }
+        return json.result;
+    }
+
+    // Sends a JSON-RPC batch and returns the raw responses, which may be in any order.
+    async rpc_batch(calls) {
+        const start_time = Date.now();
+        const response = await this.transport.fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(calls.map(({ method, params }) => ({
+                jsonrpc: '2.0',
+                method,
+                params: params || [],
+                id: this.id++,
+            }))),
+        });
+        this.req_count += 1;
+        this.req_time += Date.now() - start_time;
+
+        if (response.status !== 200) {
+            const txt = await response.text().then(r => r.trim());
+            throw rate_limit_error(response, format_error_message(txt)) || new Error(`HTTP Error ${response.status}: ${format_error_message(txt)}`);
+        }
+
+        const json = await response.json();
+        if (!Array.isArray(json)) {
+            if (!json.error) throw new Error('Batch response is not an array');
+            const message = format_error_message(JSON.stringify(json.error));
+            throw rate_limit_error(response, message, json.error) || new Error(`RPC Error: ${message}`);
         }
+        return json;
+    }
+
+    // Parameters of the detected network, mainnet for unknown networks.
+    get network_params() {
+        return NETWORKS[this.network] || NETWORKS.mainnet;
     }
 
     get avg_time() {
@@ -105,7 +152,7 @@ async function check_cors(node) {
             throw new Error('Request failed, likely due to restrictive CORS policy.');
         }
     } else {
-        const response = await fetch(node.url, {
+        const response = await node.transport.fetch(node.url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -127,6 +174,96 @@ async function check_cors(node) {
     }
 }
 
+// Sends a batch with a failing call in the middle and checks that every id is answered exactly once.
+async function check_batch_requests(node) {
+    const first_id = node.id;
+    const calls = [
+        { method: 'eth_chainId' },
+        { method: 'eth_blockNumber' },
+        { method: 'node_check_unknownMethod' },
+        { method: 'web3_clientVersion' },
+    ];
+    const responses = await node.rpc_batch(calls);
+    if (responses.length !== calls.length) throw new Error(`Expected ${calls.length} responses, got ${responses.length}`);
+    calls.forEach((call, i) => {
+        const matching = responses.filter(r => r.id === first_id + i);
+        if (matching.length !== 1) throw new Error(`Response for ${call.method} (id ${first_id + i}) ${matching.length ? 'is duplicated' : 'is missing'}`);
+        const failed = call.method === 'node_check_unknownMethod';
+        if (failed && !matching[0].error) throw new Error('Unknown method in batch did not return an error');
+        if (!failed && matching[0].error) throw new Error(`${call.method} in batch failed: ${format_error_message(JSON.stringify(matching[0].error))}`);
+    });
+    const max_size = await find_max_batch_size(node);
+    return `ok (partial errors supported, ${max_size})`;
+}
+
+const BATCH_SIZES = [10, 50, 100, 500, 1000];
+
+async function find_max_batch_size(node) {
+    let max_size = 0;
+    for (const size of BATCH_SIZES) {
+        let reason;
+        try {
+            const responses = await node.rpc_batch(Array.from({ length: size }, () => ({ method: 'eth_chainId' })));
+            const failed = responses.find(r => r.error);
+            if (responses.length !== size) reason = `${responses.length} responses`;
+            else if (failed) reason = format_error_message(JSON.stringify(failed.error));
+        } catch (error) {
+            reason = error.message;
+        }
+        if (reason) return max_size ? `max batch size ${max_size} (${size} failed: ${reason})` : `batches of ${size} failed: ${reason}`;
+        max_size = size;
+    }
+    return `batch size >= ${max_size}`;
+}
+
+const WS_TIMEOUT_SECONDS = 30;
+
+// Subscribes to newHeads and waits for the first header, like check_sse_events does for beacon nodes.
+async function check_ws_subscription(node) {
+    // WebSocket messages are not part of the recorded fixtures
+    if (is_offline()) throw new Error('WebSocket subscriptions are not available when replaying fixtures');
+    return new Promise((resolve, reject) => {
+        let ws, done = false;
+        const finish = (error, result) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timeout);
+            if (ws) {
+                ws.onclose = null;
+                ws.close();
+            }
+            error ? reject(error) : resolve(result);
+        };
+        const timeout = setTimeout(() => finish(new Error(`Timeout: No newHeads header received within ${WS_TIMEOUT_SECONDS} seconds.`)), WS_TIMEOUT_SECONDS * 1000);
+
+        try {
+            ws = isBrowser ? new WebSocketClient(node.ws_url) : new WebSocketClient(node.ws_url, { headers: node.transport.headers() });
+        } catch (error) {
+            return finish(new Error(`Invalid WebSocket url ${node.ws_url}: ${error.message}`));
+        }
+        let subscription;
+        ws.onopen = () => ws.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_subscribe', params: ['newHeads'] }));
+        ws.onerror = (event) => finish(new Error(`Error connecting to ${node.ws_url}${event.message ? ': ' + event.message : ''}`));
+        ws.onclose = () => finish(new Error('WebSocket closed without a newHeads header.'));
+        ws.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(String(event.data));
+            } catch (error) {
+                return finish(new Error('Invalid JSON message received'));
+            }
+            if (message.id === 1) {
+                if (message.error) return finish(new Error(`eth_subscribe failed: ${format_error_message(JSON.stringify(message.error))}`));
+                subscription = message.result;
+            } else if (message.method === 'eth_subscription' && message.params && message.params.subscription === subscription) {
+                const header = message.params.result || {};
+                if (!header.hash || !header.number) return finish(new Error('Received header without hash or number'));
+                finish(null, `ok (${node.ws_url}, block ${BigInt(header.number)})`);
+            }
+        };
+    });
+}
+
 async function check_debug_trace_call(node) {
     // This is a more robust check that specifically tests for the `prestateTracer`.
     // Some RPC providers keep `debug_traceCall` but disable costly tracers.
@@ -141,77 +278,284 @@ async function check_eth_create_access_list(node) {
     return 'ok';
 }
 
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// The state queries probed to find the state retention window of a node.
+const STATE_PROBES = {
+    eth_getTransactionCount: (block) => [ZERO_ADDRESS, block],
+    eth_getBalance: (block) => [ZERO_ADDRESS, block],
+    eth_getProof: (block) => [ZERO_ADDRESS, [], block],
+};
+
+const to_block = (number) => '0x' + number.toString(16);
+
+async function latest_block_number(node) {
+    return BigInt(await node.rpc('eth_blockNumber'));
+}
+
+// The errors of geth, erigon, reth, nethermind and besu for state which is pruned or not (yet) available.
+const MISSING_STATE = /missing trie node|header not found|block not found|unknown block|state.*(not available|unavailable)|pruned/i;
+
+// Whether the state of a block is still served. Only JSON-RPC errors for missing state count as pruned,
+// other errors (network, timeouts, 5xx and proxy pages) are rethrown so they don't shrink the window.
+async function has_state(node, method, block_number) {
+    try {
+        await node.rpc(method, STATE_PROBES[method](to_block(block_number)));
+        return true;
+    } catch (error) {
+        if (error.message.startsWith('RPC Error') && MISSING_STATE.test(error.message)) return false;
+        throw error;
+    }
+}
+
+/**
+ * Binary-searches the oldest block whose state is still served for a method, assuming the node keeps the state of
+ * all later blocks. Results are cached on the node, so the checks sharing a method only search once.
+ * @returns {Promise<{oldest: bigint, latest: bigint}>}
+ */
+async function find_oldest_state(node, method, latest) {
+    node.oldest_state = node.oldest_state || {};
+    if (node.oldest_state[method]) return node.oldest_state[method];
+
+    // fails with the error of the node if not even the latest state is available
+    await node.rpc(method, STATE_PROBES[method](to_block(latest)));
+
+    // high is the oldest block known to have state, low the newest block known to be pruned
+    let low = -1n, high = latest;
+    if (await has_state(node, method, 0n)) high = 0n;
+    else low = 0n;
+    while (high - low > 1n) {
+        const mid = (low + high) / 2n;
+        if (await has_state(node, method, mid)) high = mid;
+        else low = mid;
+    }
+    return node.oldest_state[method] = { oldest: high, latest };
+}
+
+// Describes the blocks from oldest to latest, using the block timestamps to estimate the days.
+async function describe_window(node, { oldest, latest }) {
+    if (oldest === 0n) return 'full archive, state since genesis';
+    const blocks = latest - oldest + 1n;
+    let seconds = Number(blocks) * node.network_params.seconds_per_slot;
+    try {
+        const [first, last] = await Promise.all([oldest, latest].map(n => node.rpc('eth_getBlockByNumber', [to_block(n), false])));
+        seconds = Number(BigInt(last.timestamp) - BigInt(first.timestamp));
+    } catch (error) {
+        // fall back to the average block time
+    }
+    const days = seconds / 86400;
+    const age = days < 1 ? `${(seconds / 3600).toFixed(1)} hours` : `${days < 10 ? days.toFixed(1) : Math.round(days).toLocaleString()} days`;
+    return `state of the last ${blocks.toLocaleString()} blocks, ~${age}`;
+}
+
+// Storage keys as 32 byte words, some clients (e.g. erigon) reject shorter hex strings.
+const storage_key = (slot) => '0x' + slot.toString(16).padStart(64, '0');
+
+// Accounts which exist on all post-Dencun chains (the deposit and the EIP-4788 beacon roots contract)
+// and the zero address, with a few storage slots. Keys that don't exist are covered by proofs of absence.
+const proof_accounts = (network) => [
+    { address: ZERO_ADDRESS, storage_keys: [] },
+    { address: network.deposit_contract, storage_keys: [0x0, 0x20, 0x22].map(storage_key) },
+    { address: '0x000F3df6D732807Ef1319fB7B8bB8522d0Beac02', storage_keys: [0x0, 0x1].map(storage_key) },
+];
+
+// Fetches the proofs for the well-known accounts and verifies them against the state root of the block.
+async function verify_proofs_at_block(node, block_number) {
+    const block = await node.rpc('eth_getBlockByNumber', [block_number, false]);
+    if (!block) throw new Error(`Block ${block_number} not found`);
+    const accounts = proof_accounts(node.network_params);
+    const proofs = [];
+    for (const { address, storage_keys } of accounts) {
+        proofs.push(await node.rpc('eth_getProof', [address, storage_keys, block.number]));
+    }
+    return () => {
+        let slots = 0;
+        for (const [i, proof] of proofs.entries()) {
+            try {
+                slots += verify_account_proof(block.stateRoot, proof, accounts[i]);
+            } catch (error) {
+                throw new Error(`Invalid proof in block ${BigInt(block.number)}: ${error.message}`);
+            }
+        }
+        return `${proofs.length} accounts, ${slots} storage slots verified`;
+    };
+}
+
+// Verifies the proofs of a recent block, or with the `state_window` option of the oldest block still served,
+// which costs a binary search of about 25 requests.
 async function check_eth_get_proof(node) {
-    const latest_block_hex = await node.rpc('eth_blockNumber');
-    const latest_block = BigInt(latest_block_hex);
-    const historical_block = '0x' + (latest_block - 2n).toString(16);
-    const address = '0x0000000000000000000000000000000000000000';
-    const storageKeys = [];
+    const latest = await latest_block_number(node);
+    if (node.state_window) {
+        const retention = await find_oldest_state(node, 'eth_getProof', latest);
+        // the window of pruned nodes moves while searching, so the proofs are verified a few blocks after the oldest one
+        const historical_block = retention.oldest + 16n < latest ? retention.oldest + 16n : latest;
+        const verify = await verify_proofs_at_block(node, to_block(historical_block));
+        return `ok (${await describe_window(node, retention)}, ${verify()})`;
+    }
 
+    // Only request errors fall back to the latest state, invalid proofs always fail the check.
+    let verify, state;
     try {
-        await node.rpc('eth_getProof', [address, storageKeys, historical_block]);
-        return 'ok (historical state supported)';
+        verify = await verify_proofs_at_block(node, to_block(latest - 2n));
+        state = 'historical state supported';
     } catch (historical_error) {
-        try {
-            await node.rpc('eth_getProof', [address, storageKeys, 'latest']);
-            return 'ok (latest state only)';
-        } catch (latest_error) {
-            throw latest_error;
-        }
+        verify = await verify_proofs_at_block(node, 'latest');
+        state = 'latest state only';
     }
+    return `ok (${state}, ${verify()})`;
 }
 
-async function check_eth_get_block_receipts(node) {
-    const receipts = await node.rpc('eth_getBlockReceipts', ['latest']);
+// Block offsets from the latest block whose receipts are verified.
+const RECEIPT_BLOCK_OFFSETS = [0, 128, 10000];
+
+// Rebuilds the receipts trie of a block and compares it with the receiptsRoot of the header.
+async function verify_block_receipts(node, block_number) {
+    const block = await node.rpc('eth_getBlockByNumber', [block_number, false]);
+    if (!block) throw new Error(`Block ${block_number} not found`);
+    const receipts = await node.rpc('eth_getBlockReceipts', [block.number]);
     if (!Array.isArray(receipts)) {
         throw new Error('Response is not an array of receipts');
     }
-    return `ok, ${receipts.length} receipts in latest block`;
+    const number = BigInt(block.number);
+    if (receipts.length !== block.transactions.length) {
+        throw new Error(`Block ${number} has ${block.transactions.length} transactions, but ${receipts.length} receipts were returned`);
+    }
+    const root = receipts_root(receipts);
+    if (root !== block.receiptsRoot.toLowerCase()) {
+        throw new Error(`Receipts of block ${number} do not match the receiptsRoot (${root} !== ${block.receiptsRoot})`);
+    }
+    return { number, count: receipts.length };
+}
+
+async function check_eth_get_block_receipts(node) {
+    const latest = await verify_block_receipts(node, 'latest');
+    let count = latest.count, blocks = 1;
+    for (const offset of RECEIPT_BLOCK_OFFSETS.filter(o => o && BigInt(o) <= latest.number)) {
+        count += (await verify_block_receipts(node, '0x' + (latest.number - BigInt(offset)).toString(16))).count;
+        blocks++;
+    }
+    return `ok, ${count} receipts in ${blocks} blocks match the receiptsRoot`;
 }
 
-async function check_historical_transaction_count(node, depth) {
-    const latest_block_hex = await node.rpc('eth_blockNumber');
-    const latest_block = BigInt(latest_block_hex);
-    const target_block_number = latest_block - BigInt(depth);
+// Block ranges probed with a filtered query to find the maximum range of eth_getLogs.
+const LOG_RANGES = [1, 10, 100, 500, 1000, 2000, 5000, 10000, 50000, 100000];
+// Block ranges probed without a filter to find the maximum number of results.
+const LOG_RESULT_RANGES = [1, 5, 10, 25, 50, 100, 250, 500, 1000];
+const MAX_PROBED_LOGS = 20000;
 
-    if (target_block_number < 0) {
-        throw new Error(`Cannot check depth ${depth}, latest block is ${latest_block}`);
+const parse_limit_number = (value) => {
+    const number = Number(value.replace(/[,_]/g, '').replace(/k$/i, ''));
+    return /k$/i.test(value) ? number * 1000 : number;
+};
+
+/**
+ * Extracts the limits from the error message of a rejected eth_getLogs request, e.g.
+ * "exceed maximum block range: 5000", "query returned more than 10000 results. Try with this block range [0x1, 0x2]"
+ * or "You can make eth_getLogs requests with up to a 2K block range".
+ * @returns {{range?: number, results?: number, suggested_range?: number}}
+ */
+export function parse_log_limits(message) {
+    const text = format_error_message(message.replace(/^(RPC|HTTP) Error( \d+)?: /, '')).replace(/\(code: -?\d+\)/, '');
+    const limits = {};
+    const range = /([\d,]+k?)[ -](?:block )?range/i.exec(text) || /block range[^\d[]*?([\d,]+k?)\b/i.exec(text);
+    if (range) limits.range = parse_limit_number(range[1]);
+    const results = /([\d,]+k?)\s+(?:results|logs)\b/i.exec(text) || /\bresults\b[^\d]*?([\d,]+k?)\b/i.exec(text);
+    if (results) limits.results = parse_limit_number(results[1]);
+    const suggested = /\[\s*(0x[0-9a-f]+)\s*,\s*(0x[0-9a-f]+)\s*\]/i.exec(text);
+    if (suggested) limits.suggested_range = Number(BigInt(suggested[2]) - BigInt(suggested[1])) + 1;
+    return limits;
+}
+
+async function get_logs(node, latest, range, address) {
+    const from = latest - BigInt(range) + 1n;
+    return node.rpc('eth_getLogs', [{ fromBlock: to_block(from < 0n ? 0n : from), toBlock: to_block(latest), ...(address ? { address } : {}) }]);
+}
+
+async function check_eth_get_logs(node) {
+    const latest = await latest_block_number(node);
+
+    let max_range = 0, range_limits = {};
+    for (const range of LOG_RANGES) {
+        try {
+            // the deposit contract only emits a few logs, so wide ranges stay cheap
+            await get_logs(node, latest, range, node.network_params.deposit_contract);
+            max_range = range;
+        } catch (error) {
+            if (!max_range) throw error;
+            range_limits = parse_log_limits(error.message);
+            break;
+        }
     }
 
-    const target_block = '0x' + target_block_number.toString(16);
-    const address = '0x0000000000000000000000000000000000000000';
-    await node.rpc('eth_getTransactionCount', [address, target_block]);
-    return 'ok';
+    let max_results = 0, result_limits = {}, capped = false;
+    for (const range of LOG_RESULT_RANGES.filter(r => r <= max_range)) {
+        try {
+            const logs = await get_logs(node, latest, range);
+            max_results = Math.max(max_results, logs.length);
+            if (logs.length > MAX_PROBED_LOGS) break;
+        } catch (error) {
+            result_limits = parse_log_limits(error.message);
+            capped = true;
+            break;
+        }
+    }
+
+    const range_limit = range_limits.range || (max_range === LOG_RANGES[LOG_RANGES.length - 1] ? null : max_range);
+    const result_limit = result_limits.results || (capped ? max_results : null);
+    const range_text = range_limit ? `max range ${range_limit.toLocaleString()} blocks` : `range >= ${max_range.toLocaleString()} blocks`;
+    const results_text = result_limit ? `max ${result_limit.toLocaleString()} results` : `no result cap up to ${max_results.toLocaleString()} logs`;
+    return `ok (${range_text}, ${results_text})`;
 }
 
-export async function check_execution_node(url, cb) {
-    const node = new ExecutionNode(url);
-    const results = [];
+// Probes the state of the block `depth` blocks behind the head, or with the `state_window` option searches the
+// retention window in which all state queries succeed, which costs about 25 requests per query.
+async function check_archive_depth(node, depth) {
+    const latest = await latest_block_number(node);
+    if (!node.state_window) {
+        const block = latest > BigInt(depth) ? latest - BigInt(depth) : 0n;
+        if (!await has_state(node, 'eth_getTransactionCount', block)) {
+            throw new Error(`Pruned node, no state at block ${block} (latest - ${depth.toLocaleString()})`);
+        }
+        return `ok (state at block ${block}, latest - ${depth.toLocaleString()})`;
+    }
+
+    let oldest = 0n;
+    for (const method of Object.keys(STATE_PROBES)) {
+        const retention = await find_oldest_state(node, method, latest);
+        if (retention.oldest > oldest) oldest = retention.oldest;
+    }
+    const description = await describe_window(node, { oldest, latest });
+    if (latest - oldest < BigInt(depth) && oldest > 0n) {
+        throw new Error(`Pruned node, ${description} (less than ${depth.toLocaleString()} blocks)`);
+    }
+    return `ok (${description})`;
+}
+
+// Detects the network by the chain id, the following checks use its parameters.
+async function check_network(node) {
+    node.network = network_of_chain_id(await node.rpc('eth_chainId'));
+    return check_expected_network(node.network, node.expected_network);
+}
+
+export async function check_execution_node(url, cb, options) {
+    const node = new ExecutionNode(url, options);
     const ARCHIVE_DEPTH = 100000;
-    const checks = [
+    const checks = select_checks('execution', with_plugins('execution', [
+        { name: 'network', fn: check_network, required: true },
         { name: 'web3_clientVersion', fn: check_client_version, required: true },
         { name: 'cors_headers', fn: check_cors, required: false },
+        { name: 'batch_requests', fn: check_batch_requests, required: false },
+        { name: 'eth_subscribe (newHeads)', fn: check_ws_subscription, required: false },
         { name: 'debug_traceCall', fn: check_debug_trace_call, required: true },
         { name: 'eth_createAccessList', fn: check_eth_create_access_list, required: false },
         { name: 'eth_getProof', fn: check_eth_get_proof, required: true },
         { name: 'eth_getBlockReceipts', fn: check_eth_get_block_receipts, required: true },
-        { name: `archive_check (latest-${ARCHIVE_DEPTH.toLocaleString()})`, fn: (node) => check_historical_transaction_count(node, ARCHIVE_DEPTH), required: false },
+        { name: 'eth_getLogs', fn: check_eth_get_logs, required: false },
+        { name: 'archive_depth', fn: (node) => check_archive_depth(node, ARCHIVE_DEPTH), required: false },
+        { name: 'rate_limit', fn: (node) => check_rate_limit(node, 'execution'), required: false, opt_in: 'rate_limit' },
         { name: 'avg_response_time', fn: () => node.avg_time, required: false },
-        { name: 'colibri suitable', fn: () => { if (required_checks_failed.length) throw new Error('required checks failed: ' + required_checks_failed.join(', ')); return 'ok' }, required: false },
-    ];
+        suitability_check,
+    ]), options);
 
-    let required_checks_failed = [];
-    for (const check of checks) {
-        let result_obj;
-        try {
-            const result = await check.fn(node);
-            result_obj = { name: check.name, result, passed: true };
-        } catch (error) {
-            if (check.required) required_checks_failed.push(check.name);
-            result_obj = { name: check.name, result: error.message, passed: false };
-        }
-        results.push(result_obj);
-        if (cb) cb(result_obj, checks);
-    }
-    return results;
+    return run_checks(checks, [node], cb);
 }
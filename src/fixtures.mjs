@@ -0,0 +1,299 @@
+// Record/replay of the HTTP and JSON-RPC exchanges with the nodes, so a run can be reproduced offline:
+// `--record <file>` stores every exchange of the detection and check modules in a fixture archive,
+// `--replay <file>` serves them back instead of contacting the nodes.
+//
+// The archive is JSON (gzip compressed if the file name ends with `.gz`):
+//   { version, recorded_at, nodes: [{url, label, reference_url?}], exchanges: [{ request: {method, url, body}, response | error }] }
+// Archives are meant to be shared, so request headers are not stored and the node urls, which may carry credentials and
+// api keys, are replaced by placeholders like `http://node-1.fixture.invalid`. Replaying maps the urls of the run back.
+import { readFile, writeFile } from 'node:fs/promises';
+import { gzipSync, gunzipSync } from 'node:zlib';
+import { use_fetch, split_credentials, public_url } from './transport.mjs';
+
+export const FIXTURE_VERSION = 1;
+
+const TEXT_CONTENT = /json|text|xml|html/i;
+// Headers describing the encoding on the wire, which no longer applies to the decoded body.
+const WIRE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+// Statuses which have no body.
+const NULL_BODY_STATUS = [101, 204, 205, 304];
+
+const to_base64 = (bytes) => Buffer.from(bytes).toString('base64');
+const from_base64 = (text) => new Uint8Array(Buffer.from(text, 'base64'));
+
+const concat = (chunks) => {
+    const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes;
+};
+
+function parse_json(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+// The ids of a JSON-RPC request or batch, which differ between runs.
+const rpc_ids = (json) => json === undefined ? [] : [].concat(json).map(call => call && typeof call === 'object' ? call.id : undefined);
+
+// Requests are matched by method, url and body without the JSON-RPC ids.
+function request_key(method = 'GET', url, body) {
+    if (typeof body !== 'string') return `${method} ${url}`;
+    const json = parse_json(body);
+    if (json === undefined || typeof json !== 'object') return `${method} ${url} ${body}`;
+    const without_ids = [].concat(json).map(call => {
+        if (!call || typeof call !== 'object') return call;
+        const { id, ...rest } = call;
+        return rest;
+    });
+    return `${method} ${url} ${JSON.stringify(Array.isArray(json) ? without_ids : without_ids[0])}`;
+}
+
+function encode_body(bytes, content_type) {
+    return TEXT_CONTENT.test(content_type || '')
+        ? { body: new TextDecoder().decode(bytes), encoding: 'utf8' }
+        : { body: to_base64(bytes), encoding: 'base64' };
+}
+
+const decode_body = ({ body, encoding }) => encoding === 'base64' ? from_base64(body) : new TextEncoder().encode(body);
+
+// The name of a node url in an archive: its origin, since the path and the query may carry api keys.
+export function redact_url(url) {
+    try {
+        return new URL(public_url(url)).origin;
+    } catch {
+        return 'redacted url';
+    }
+}
+
+// The name of a node in an archive, which is its label unless the label is just the url.
+const node_name = ({ url, label = url }) => label === url || label === public_url(url) ? redact_url(url) : label;
+
+// Replaces the base url a url starts with by its placeholder, the longest base first.
+function substitute_url(url, substitutions) {
+    const match = substitutions
+        .filter(({ base }) => url === base || (url.startsWith(base) && /^[/?#]/.test(url.slice(base.length))))
+        .sort((a, b) => b.base.length - a.base.length)[0];
+    return match ? match.placeholder + url.slice(match.base.length) : url;
+}
+
+const abort_error = () => Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+
+// Records the exchanges made through the transports. Event streams are recorded as far as they were read.
+export class Recorder {
+    constructor() {
+        this.recorded_at = Date.now();
+        this.exchanges = [];
+    }
+
+    async fetch(resource, options = {}) {
+        const url = String(resource);
+        const exchange = { request: { method: options.method || 'GET', url, body: typeof options.body === 'string' ? options.body : undefined } };
+        this.exchanges.push(exchange);
+
+        let response;
+        try {
+            response = await fetch(resource, options);
+        } catch (error) {
+            exchange.error = { name: error.name, message: error.message };
+            throw error;
+        }
+        const content_type = response.headers.get('content-type') || '';
+        const recorded = {
+            status: response.status,
+            status_text: response.statusText,
+            headers: Object.fromEntries([...response.headers.entries()].filter(([name]) => !WIRE_HEADERS.includes(name))),
+        };
+        exchange.response = recorded;
+
+        if (content_type.includes('text/event-stream') && response.body) {
+            const chunks = [];
+            const reader = response.body.getReader();
+            const finish = (ended) => Object.assign(recorded, encode_body(concat(chunks), content_type), { ended });
+            finish(false);
+            const body = new ReadableStream({
+                async pull(controller) {
+                    try {
+                        const { done, value } = await reader.read();
+                        if (done) {
+                            finish(true);
+                            return controller.close();
+                        }
+                        chunks.push(value);
+                        finish(false);
+                        controller.enqueue(value);
+                    } catch (error) {
+                        controller.error(error);
+                    }
+                },
+                cancel: (reason) => reader.cancel(reason),
+            });
+            return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+        }
+
+        let bytes;
+        try {
+            bytes = new Uint8Array(await response.arrayBuffer());
+        } catch (error) {
+            exchange.error = { name: error.name, message: error.message };
+            delete exchange.response;
+            throw error;
+        }
+        Object.assign(recorded, encode_body(bytes, content_type), { ended: true });
+        return new Response(NULL_BODY_STATUS.includes(response.status) ? null : bytes, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+
+    /**
+     * The archive of the recorded exchanges, with placeholders instead of the urls of the nodes and reference nodes.
+     * @param {Array<{url: string, label?: string, options?: object}>} nodes the checked nodes
+     */
+    archive(nodes = []) {
+        const substitutions = [];
+        const placeholder = (url, kind) => {
+            const base = public_url(url);
+            let entry = substitutions.find(s => s.base === base);
+            if (!entry) {
+                const index = substitutions.filter(s => s.kind === kind).length + 1;
+                substitutions.push(entry = { base, kind, placeholder: `http://${kind}-${index}.fixture.invalid` });
+            }
+            return entry.placeholder;
+        };
+        const recorded_nodes = nodes.map(node => ({
+            url: placeholder(node.url, 'node'),
+            label: node_name(node),
+            ...(node.options?.reference_url ? { reference_url: placeholder(node.options.reference_url, 'reference') } : {}),
+        }));
+        // urls of other hosts keep their path, but never their credentials
+        const exchanges = this.exchanges.map(({ request, ...exchange }) => {
+            const url = substitute_url(request.url, substitutions);
+            return { request: { ...request, url: url === request.url ? split_credentials(url).url : url }, ...exchange };
+        });
+        return { version: FIXTURE_VERSION, recorded_at: this.recorded_at, nodes: recorded_nodes, exchanges };
+    }
+}
+
+// Serves the recorded exchanges in the order they were recorded, repeating the last one of a request if it is made more often.
+export class Replayer {
+    constructor(archive) {
+        if (!archive || archive.version !== FIXTURE_VERSION || !Array.isArray(archive.exchanges)) {
+            throw new Error(`Unsupported fixture archive (expected version ${FIXTURE_VERSION})`);
+        }
+        this.recorded_at = archive.recorded_at;
+        this.nodes = archive.nodes || [];
+        this.substitutions = [];
+        this.queues = new Map();
+        for (const exchange of archive.exchanges) {
+            const key = request_key(exchange.request.method, exchange.request.url, exchange.request.body);
+            if (!this.queues.has(key)) this.queues.set(key, []);
+            this.queues.get(key).push(exchange);
+        }
+    }
+
+    /**
+     * Maps the urls of the nodes of this run to the placeholders of the recorded nodes, which are found by their
+     * label (the origin of the url for nodes without a label) or else by their position.
+     * @param {Array<{url: string, label?: string, options?: object}>} nodes
+     */
+    bind(nodes) {
+        const unbound = [...this.nodes];
+        nodes.forEach((node, index) => {
+            const recorded = unbound.find(n => n.label === node_name(node)) || (unbound.includes(this.nodes[index]) ? this.nodes[index] : null);
+            if (!recorded) return;
+            unbound.splice(unbound.indexOf(recorded), 1);
+            this.substitutions.push({ base: public_url(node.url), placeholder: recorded.url });
+            if (node.options?.reference_url && recorded.reference_url) {
+                this.substitutions.push({ base: public_url(node.options.reference_url), placeholder: recorded.reference_url });
+            }
+        });
+    }
+
+    next(key) {
+        const queue = this.queues.get(key);
+        if (!queue) return null;
+        return queue.length > 1 ? queue.shift() : queue[0];
+    }
+
+    async fetch(resource, options = {}) {
+        const url = substitute_url(String(resource), this.substitutions);
+        const exchange = this.next(request_key(options.method || 'GET', url, options.body));
+        if (!exchange) throw new Error(`No recorded response for ${options.method || 'GET'} ${url}`);
+        if (options.signal?.aborted) throw abort_error();
+        if (exchange.error) throw Object.assign(new Error(exchange.error.message), { name: exchange.error.name });
+
+        const { status, status_text, headers } = exchange.response;
+        let bytes = decode_body(exchange.response);
+
+        // the responses carry the ids of the recorded requests, which are mapped to the ids of this run
+        const recorded_ids = rpc_ids(parse_json(exchange.request.body));
+        const ids = rpc_ids(parse_json(options.body));
+        const json = recorded_ids.some(id => id !== undefined) && exchange.response.encoding === 'utf8' ? parse_json(exchange.response.body) : undefined;
+        if (json && typeof json === 'object') {
+            const map_id = (call) => {
+                const index = recorded_ids.indexOf(call?.id);
+                return index === -1 ? call : { ...call, id: ids[index] };
+            };
+            bytes = new TextEncoder().encode(JSON.stringify(Array.isArray(json) ? json.map(map_id) : map_id(json)));
+        }
+
+        const body = NULL_BODY_STATUS.includes(status) ? null : new ReadableStream({
+            start(controller) {
+                if (bytes.length) controller.enqueue(bytes);
+                // a stream which was still open when the recording ended stays open until it is aborted
+                if (exchange.response.ended !== false) return controller.close();
+                options.signal?.addEventListener('abort', () => controller.error(abort_error()));
+            },
+        });
+        return new Response(body, { status, statusText: status_text, headers });
+    }
+
+    // Lets the clock run from the time of the recording, so checks comparing timestamps with the current time
+    // see the same delays as in the recorded run.
+    rewind_clock() {
+        if (!this.recorded_at) return;
+        const real_now = Date.now;
+        const offset = real_now() - this.recorded_at;
+        Date.now = () => real_now() - offset;
+    }
+}
+
+/**
+ * Records the exchanges of all transports until the returned recorder is saved.
+ * @returns {Recorder}
+ */
+export function start_recording() {
+    const recorder = new Recorder();
+    use_fetch((resource, options) => recorder.fetch(resource, options));
+    return recorder;
+}
+
+/**
+ * Replays a fixture archive instead of contacting the nodes.
+ * @param {object} archive the parsed archive
+ * @returns {Replayer}
+ */
+export function start_replay(archive) {
+    const replayer = new Replayer(archive);
+    use_fetch((resource, options) => replayer.fetch(resource, options), { offline: true });
+    replayer.rewind_clock();
+    return replayer;
+}
+
+export async function save_fixtures(file, archive) {
+    const json = JSON.stringify(archive);
+    await writeFile(file, /\.gz$/i.test(file) ? gzipSync(json) : json);
+}
+
+export async function load_fixtures(file) {
+    const data = await readFile(file);
+    try {
+        return JSON.parse((/\.gz$/i.test(file) ? gunzipSync(data) : data).toString('utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
@@ -0,0 +1,153 @@
+// Node inventory: a JSON or YAML file listing the nodes to check together with their settings.
+//
+//   defaults:                  # settings of every node, the settings of a node take precedence
+//     network: mainnet
+//     timeout: 10000
+//   nodes:
+//     - url: https://eth.example.com/v2/${EXAMPLE_API_KEY}
+//       label: example-archive
+//       type: execution        # the run fails if another node type is detected
+//       tags: [archive, paid]
+//       headers:
+//         X-Api-Key: ${EXAMPLE_API_KEY}
+//       prover_methods: [eth_getBalance, eth_call]
+//       profile: archive-indexer
+//       skip: [eth_subscribe (newHeads)]
+//
+// `${NAME}` is replaced by the environment variable NAME, so API keys don't need to be stored in the file.
+import { readFile } from 'node:fs/promises';
+import { NETWORKS } from './networks.mjs';
+import { PROVER_METHODS } from './prover.mjs';
+import { PROFILES } from './profiles.mjs';
+import { split_credentials } from './transport.mjs';
+
+export const NODE_TYPES = ['beacon', 'execution', 'colibri'];
+
+// The per-node settings, passed to the checks as options.
+const OPTION_VALIDATORS = {
+    headers: (v) => v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(h => typeof h === 'string'),
+    basic_auth: (v) => typeof v === 'string' && v.includes(':'),
+    bearer_token: (v) => typeof v === 'string',
+    timeout: (v) => Number.isInteger(v) && v > 0,
+    retries: (v) => Number.isInteger(v) && v >= 0,
+    retry_delay: (v) => Number.isInteger(v) && v >= 0,
+    ws_url: (v) => typeof v === 'string' && /^wss?:\/\//i.test(v),
+    reference_url: (v) => typeof v === 'string' && /^https?:\/\//i.test(v),
+    network: (v) => Object.hasOwn(NETWORKS, v),
+    prover_methods: (v) => Array.isArray(v) && v.every(m => Object.hasOwn(PROVER_METHODS, m)),
+    profile: (v) => Object.hasOwn(PROFILES, v),
+    only: (v) => Array.isArray(v) && v.every(c => typeof c === 'string'),
+    skip: (v) => Array.isArray(v) && v.every(c => typeof c === 'string'),
+    rate_limit: (v) => typeof v === 'boolean',
+    state_window: (v) => typeof v === 'boolean',
+};
+
+function expand_env(value, env, where) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+            if (env[name] === undefined) throw new Error(`${where}: environment variable ${name} is not set`);
+            return env[name];
+        });
+    }
+    if (Array.isArray(value)) return value.map((v, i) => expand_env(v, env, `${where}[${i}]`));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expand_env(v, env, `${where}.${k}`)]));
+    }
+    return value;
+}
+
+function parse_options(settings, where, allowed_keys) {
+    const options = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (allowed_keys.includes(key)) continue;
+        if (!OPTION_VALIDATORS[key]) throw new Error(`${where}: unknown setting ${key}`);
+        if (!OPTION_VALIDATORS[key](value)) throw new Error(`${where}: invalid ${key} ${JSON.stringify(value)}`);
+        options[key] = value;
+    }
+    return options;
+}
+
+/**
+ * Merges layers of node options, later layers win. Undefined values are skipped and headers are merged by name.
+ * @param {...object} layers
+ * @returns {object}
+ */
+export function merge_options(...layers) {
+    const merged = {};
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer || {})) {
+            if (value === undefined) continue;
+            merged[key] = key === 'headers' ? { ...merged.headers, ...value } : value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Validates a parsed inventory.
+ * @param {object|Array} data the parsed file, either `{defaults, nodes}` or just the list of nodes
+ * @param {object} env the environment variables used for `${NAME}` placeholders
+ * @returns {Array<{url: string, label: string, type?: string, tags: string[], options: object}>}
+ */
+export function parse_inventory(data, env = {}) {
+    const { defaults = {}, nodes } = Array.isArray(data) ? { nodes: data } : (data || {});
+    if (!Array.isArray(nodes) || !nodes.length) throw new Error('The inventory lists no nodes');
+    const default_options = parse_options(expand_env(defaults, env, 'defaults'), 'defaults', []);
+
+    const labels = new Set();
+    return nodes.map((raw, index) => {
+        const where = `nodes[${index}]`;
+        const node = expand_env(typeof raw === 'string' ? { url: raw } : raw, env, where);
+        if (!node || typeof node !== 'object') throw new Error(`${where}: expected a url or an object`);
+        if (typeof node.url !== 'string' || !node.url.trim()) throw new Error(`${where}: missing url`);
+        if (node.type !== undefined && !NODE_TYPES.includes(node.type)) throw new Error(`${where}: unknown type ${node.type}`);
+        if (node.tags !== undefined && !(Array.isArray(node.tags) && node.tags.every(t => typeof t === 'string'))) {
+            throw new Error(`${where}: tags must be a list of strings`);
+        }
+
+        // without a label a node is named by its url before the placeholders are replaced, so keys don't show up
+        const label = node.label === undefined ? split_credentials(String(raw.url ?? raw).trim()).url : String(node.label);
+        if (labels.has(label)) throw new Error(`${where}: duplicate label ${label}`);
+        labels.add(label);
+        return {
+            url: node.url.trim(),
+            label,
+            type: node.type,
+            tags: node.tags || [],
+            options: merge_options(default_options, parse_options(node, where, ['url', 'label', 'type', 'tags'])),
+        };
+    });
+}
+
+/**
+ * Reads an inventory file, `.yaml`/`.yml` files are parsed as YAML, others as JSON.
+ * @param {string} file the path of the inventory
+ * @param {object} env the environment variables used for `${NAME}` placeholders
+ */
+export async function load_inventory(file, env = process.env) {
+    const text = await readFile(file, 'utf8');
+    let data;
+    try {
+        if (/\.ya?ml$/i.test(file)) {
+            const { parse } = await import('yaml');
+            data = parse(text);
+        } else {
+            data = JSON.parse(text);
+        }
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+    try {
+        return parse_inventory(data, env);
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+// The nodes having at least one of the tags, all nodes if no tags are given.
+export const select_by_tags = (nodes, tags) => !tags?.length ? nodes : nodes.filter(node => node.tags.some(tag => tags.includes(tag)));
+
+// Fails if the detected type of a node differs from the type given in the inventory.
+export function check_expected_type(node, type) {
+    if (node.type && node.type !== type) throw new Error(`Expected a ${node.type} node, but detected ${type}`);
+}
@@ -0,0 +1,376 @@
+// Fork-aware light client types (https://github.com/ethereum/consensus-specs/tree/dev/specs/altair/light-client)
+// and helpers to decode and verify light client data for Altair and every later fork.
+import { bls12_381 } from '@noble/curves/bls12-381.js';
+import {
+    container, vector, byte_list, bitvector, uint64, uint256,
+    Bytes20, Bytes32, Bytes48, Bytes96, byte_vector,
+    sha256, from_hex, to_hex, bytes_equal, merkle_root_from_branch, count_bits, get_bit,
+} from './ssz.mjs';
+
+export const SYNC_COMMITTEE_SIZE = 512;
+export const SLOTS_PER_EPOCH = 32;
+export const EPOCHS_PER_SYNC_COMMITTEE_PERIOD = 256;
+export const FAR_FUTURE_EPOCH = 2n ** 64n - 1n;
+export const MIN_SYNC_COMMITTEE_PARTICIPANTS = 1;
+export const DOMAIN_SYNC_COMMITTEE = '0x07000000';
+const BLS_DST = 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_POP_';
+
+export const BeaconBlockHeader = container('BeaconBlockHeader', [
+    ['slot', uint64],
+    ['proposer_index', uint64],
+    ['parent_root', Bytes32],
+    ['state_root', Bytes32],
+    ['body_root', Bytes32],
+]);
+
+export const SyncCommittee = container('SyncCommittee', [
+    ['pubkeys', vector(Bytes48, SYNC_COMMITTEE_SIZE)],
+    ['aggregate_pubkey', Bytes48],
+]);
+
+export const SyncAggregate = container('SyncAggregate', [
+    ['sync_committee_bits', bitvector(SYNC_COMMITTEE_SIZE)],
+    ['sync_committee_signature', Bytes96],
+]);
+
+const capella_execution_fields = [
+    ['parent_hash', Bytes32],
+    ['fee_recipient', Bytes20],
+    ['state_root', Bytes32],
+    ['receipts_root', Bytes32],
+    ['logs_bloom', byte_vector(256)],
+    ['prev_randao', Bytes32],
+    ['block_number', uint64],
+    ['gas_limit', uint64],
+    ['gas_used', uint64],
+    ['timestamp', uint64],
+    ['extra_data', byte_list(32)],
+    ['base_fee_per_gas', uint256],
+    ['block_hash', Bytes32],
+    ['transactions_root', Bytes32],
+    ['withdrawals_root', Bytes32],
+];
+
+export const ExecutionPayloadHeaderCapella = container('ExecutionPayloadHeaderCapella', capella_execution_fields);
+export const ExecutionPayloadHeaderDeneb = container('ExecutionPayloadHeaderDeneb', [
+    ...capella_execution_fields,
+    ['blob_gas_used', uint64],
+    ['excess_blob_gas', uint64],
+]);
+
+// gindex of the execution payload within the BeaconBlockBody (Capella and later)
+export const EXECUTION_PAYLOAD_GINDEX = 25n;
+
+/**
+ * builds the light client types of a fork layout.
+ * The depth of the state proofs changed with Electra, since the BeaconState grew beyond 32 fields.
+ */
+function light_client_types(name, { execution, state_depth }) {
+    const header_fields = [['beacon', BeaconBlockHeader]];
+    if (execution) header_fields.push(['execution', execution], ['execution_branch', vector(Bytes32, 4)]);
+    const LightClientHeader = container(`LightClientHeader${name}`, header_fields);
+    const gindices = {
+        // BeaconState.current_sync_committee (22), next_sync_committee (23), finalized_checkpoint.root (20 -> 1)
+        current_sync_committee: (1n << BigInt(state_depth)) + 22n,
+        next_sync_committee: (1n << BigInt(state_depth)) + 23n,
+        finalized_root: ((1n << BigInt(state_depth)) + 20n) * 2n + 1n,
+    };
+    const branch = (gindex) => vector(Bytes32, BigInt(gindex).toString(2).length - 1);
+    return {
+        gindices,
+        ExecutionPayloadHeader: execution,
+        LightClientHeader,
+        LightClientBootstrap: container(`LightClientBootstrap${name}`, [
+            ['header', LightClientHeader],
+            ['current_sync_committee', SyncCommittee],
+            ['current_sync_committee_branch', branch(gindices.current_sync_committee)],
+        ]),
+        LightClientUpdate: container(`LightClientUpdate${name}`, [
+            ['attested_header', LightClientHeader],
+            ['next_sync_committee', SyncCommittee],
+            ['next_sync_committee_branch', branch(gindices.next_sync_committee)],
+            ['finalized_header', LightClientHeader],
+            ['finality_branch', branch(gindices.finalized_root)],
+            ['sync_aggregate', SyncAggregate],
+            ['signature_slot', uint64],
+        ]),
+        LightClientFinalityUpdate: container(`LightClientFinalityUpdate${name}`, [
+            ['attested_header', LightClientHeader],
+            ['finalized_header', LightClientHeader],
+            ['finality_branch', branch(gindices.finalized_root)],
+            ['sync_aggregate', SyncAggregate],
+            ['signature_slot', uint64],
+        ]),
+        LightClientOptimisticUpdate: container(`LightClientOptimisticUpdate${name}`, [
+            ['attested_header', LightClientHeader],
+            ['sync_aggregate', SyncAggregate],
+            ['signature_slot', uint64],
+        ]),
+    };
+}
+
+const ALTAIR_TYPES = light_client_types('Altair', { execution: null, state_depth: 5 });
+const CAPELLA_TYPES = light_client_types('Capella', { execution: ExecutionPayloadHeaderCapella, state_depth: 5 });
+const DENEB_TYPES = light_client_types('Deneb', { execution: ExecutionPayloadHeaderDeneb, state_depth: 5 });
+const ELECTRA_TYPES = light_client_types('Electra', { execution: ExecutionPayloadHeaderDeneb, state_depth: 6 });
+
+// Known forks in activation order. Forks without light client support have no types.
+// Forks found in a node's spec but missing here are assumed to keep the layout of the last known fork.
+export const FORKS = [
+    { name: 'phase0', types: null },
+    { name: 'altair', types: ALTAIR_TYPES },
+    { name: 'bellatrix', types: ALTAIR_TYPES },
+    { name: 'capella', types: CAPELLA_TYPES },
+    { name: 'deneb', types: DENEB_TYPES },
+    { name: 'electra', types: ELECTRA_TYPES },
+    { name: 'fulu', types: ELECTRA_TYPES },
+];
+
+const fork_types = (name) => {
+    const fork = FORKS.find(f => f.name === name);
+    if (fork) return fork.types;
+    return FORKS[FORKS.length - 1].types;
+};
+
+// Resolves a fork by the `version` field of a JSON response, without knowing the network.
+export function fork_by_name(name) {
+    const lower = String(name).toLowerCase();
+    const types = fork_types(lower);
+    if (!types) throw new Error(`Fork ${name} has no light client support`);
+    return { name: lower, types };
+}
+
+export const compute_fork_data_root = (current_version, genesis_validators_root) =>
+    sha256(pad32(from_hex(current_version)), from_hex(genesis_validators_root));
+
+const pad32 = (bytes) => {
+    const result = new Uint8Array(32);
+    result.set(bytes);
+    return result;
+};
+
+/**
+ * The fork schedule of a network, built from the `/eth/v1/config/spec` and `/eth/v1/beacon/genesis` responses.
+ */
+export class ForkConfig {
+    constructor(spec, genesis_validators_root) {
+        this.spec = spec;
+        this.genesis_validators_root = genesis_validators_root;
+        this.slots_per_epoch = Number(spec.SLOTS_PER_EPOCH || SLOTS_PER_EPOCH);
+        this.epochs_per_period = Number(spec.EPOCHS_PER_SYNC_COMMITTEE_PERIOD || EPOCHS_PER_SYNC_COMMITTEE_PERIOD);
+
+        const names = FORKS.map(f => f.name);
+        // later forks announced by the node, e.g. GLOAS_FORK_VERSION
+        for (const key of Object.keys(spec)) {
+            const match = /^([A-Z0-9]+)_FORK_VERSION$/.exec(key);
+            if (match && match[1] !== 'GENESIS' && !names.includes(match[1].toLowerCase())) names.push(match[1].toLowerCase());
+        }
+        this.forks = names
+            .map(name => ({
+                name,
+                version: name === 'phase0' ? spec.GENESIS_FORK_VERSION : spec[`${name.toUpperCase()}_FORK_VERSION`],
+                epoch: name === 'phase0' ? 0n : BigInt(spec[`${name.toUpperCase()}_FORK_EPOCH`] ?? FAR_FUTURE_EPOCH),
+                types: fork_types(name),
+            }))
+            .filter(f => f.version && f.epoch !== FAR_FUTURE_EPOCH)
+            .sort((a, b) => (a.epoch < b.epoch ? -1 : a.epoch > b.epoch ? 1 : 0));
+        this.digests = null;
+    }
+
+    get slots_per_period() {
+        return this.slots_per_epoch * this.epochs_per_period;
+    }
+
+    fork_by_name(name) {
+        const fork = this.forks.find(f => f.name === String(name).toLowerCase());
+        if (!fork) throw new Error(`Unknown fork ${name}`);
+        return fork;
+    }
+
+    fork_at_epoch(epoch) {
+        let result = this.forks[0];
+        for (const fork of this.forks) if (BigInt(epoch) >= fork.epoch) result = fork;
+        return result;
+    }
+
+    fork_at_slot(slot) {
+        return this.fork_at_epoch(BigInt(slot) / BigInt(this.slots_per_epoch));
+    }
+
+    // Since Fulu the digest also commits to the blob parameters (EIP-7892), so there may be several per fork.
+    blob_parameter_epochs(fork, next_fork) {
+        const fulu = this.forks.find(f => f.name === 'fulu');
+        if (!fulu || fork.epoch < fulu.epoch) return [];
+        const schedule = (this.spec.BLOB_SCHEDULE || []).map(e => ({ epoch: BigInt(e.EPOCH), max_blobs: BigInt(e.MAX_BLOBS_PER_BLOCK) }));
+        const epochs = [fork.epoch, ...schedule.map(e => e.epoch).filter(e => e > fork.epoch && (!next_fork || e < next_fork.epoch))];
+        return epochs.map(epoch => {
+            const active = schedule.filter(e => e.epoch <= epoch).sort((a, b) => (a.epoch > b.epoch ? -1 : 1))[0];
+            const electra = this.forks.find(f => f.name === 'electra');
+            return active || { epoch: electra ? electra.epoch : 0n, max_blobs: BigInt(this.spec.MAX_BLOBS_PER_BLOCK_ELECTRA || 9) };
+        });
+    }
+
+    async compute_digests() {
+        const digests = {};
+        for (let i = 0; i < this.forks.length; i++) {
+            const fork = this.forks[i];
+            const base = await compute_fork_data_root(fork.version, this.genesis_validators_root);
+            const blob_parameters = this.blob_parameter_epochs(fork, this.forks[i + 1]);
+            if (!blob_parameters.length) digests[to_hex(base.slice(0, 4))] = fork;
+            for (const params of blob_parameters) {
+                const mask = await sha256(uint64.serialize(params.epoch), uint64.serialize(params.max_blobs));
+                digests[to_hex(base.slice(0, 4).map((b, j) => b ^ mask[j]))] = fork;
+            }
+        }
+        return digests;
+    }
+
+    async fork_by_digest(digest) {
+        if (!this.digests) this.digests = await this.compute_digests();
+        return this.digests[to_hex(from_hex(digest))] || null;
+    }
+}
+
+/**
+ * splits an SSZ response of the light client endpoints into its chunks.
+ * Every chunk is prefixed with its length (uint64) and the fork digest (4 bytes).
+ */
+export function split_ssz_response(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        if (offset + 12 > bytes.length) throw new Error('Truncated SSZ response chunk header');
+        const length = Number(view.getBigUint64(offset, true));
+        const digest = bytes.slice(offset + 8, offset + 12);
+        const start = offset + 12;
+        if (start + length > bytes.length) throw new Error(`Truncated SSZ response chunk (expected ${length} bytes, got ${bytes.length - start})`);
+        chunks.push({ digest: to_hex(digest), payload: bytes.subarray(start, start + length) });
+        offset = start + length;
+    }
+    return chunks;
+}
+
+export const period_of_slot = (slot, slots_per_period = SLOTS_PER_EPOCH * EPOCHS_PER_SYNC_COMMITTEE_PERIOD) =>
+    Math.floor(Number(slot) / slots_per_period);
+
+export async function is_valid_light_client_header(header, fork) {
+    if (!header.execution) return true;
+    const execution_root = await fork.types.ExecutionPayloadHeader.hash_tree_root(header.execution);
+    const root = await merkle_root_from_branch(EXECUTION_PAYLOAD_GINDEX, header.execution_branch, execution_root);
+    return bytes_equal(root, header.beacon.body_root);
+}
+
+export async function verify_next_sync_committee(update, fork) {
+    const leaf = await SyncCommittee.hash_tree_root(update.next_sync_committee);
+    const root = await merkle_root_from_branch(fork.types.gindices.next_sync_committee, update.next_sync_committee_branch, leaf);
+    if (!bytes_equal(root, update.attested_header.beacon.state_root)) throw new Error(`Invalid Merkle Proof: next_sync_committee does not match the state root (${fork.name})`);
+}
+
+const is_zero = (bytes) => bytes.every(b => b === 0);
+
+// An update without finality carries a default finalized_header and a zeroed finality_branch.
+export const has_finality = (update) =>
+    !(update.finalized_header.beacon.slot === 0n && update.finality_branch.every(is_zero));
+
+export async function verify_finality_branch(update, fork) {
+    if (!await is_valid_light_client_header(update.finalized_header, fork)) throw new Error(`Invalid execution branch in finalized_header (${fork.name})`);
+    const leaf = await BeaconBlockHeader.hash_tree_root(update.finalized_header.beacon);
+    const root = await merkle_root_from_branch(fork.types.gindices.finalized_root, update.finality_branch, leaf);
+    if (!bytes_equal(root, update.attested_header.beacon.state_root)) throw new Error(`Invalid Merkle Proof: finalized_header does not match the state root (${fork.name})`);
+}
+
+/**
+ * verifies the structure of a light client update: the execution branches of its headers,
+ * the next_sync_committee branch (if present) and the finality branch (if present).
+ */
+export async function verify_light_client_update(update, fork) {
+    if (!await is_valid_light_client_header(update.attested_header, fork)) throw new Error(`Invalid execution branch in attested_header (${fork.name})`);
+    if (update.next_sync_committee) await verify_next_sync_committee(update, fork);
+    if (update.finality_branch && has_finality(update)) await verify_finality_branch(update, fork);
+}
+
+/**
+ * verifies a light client bootstrap: the header must match the requested block root
+ * and the current_sync_committee must be proven against its state root.
+ */
+export async function verify_light_client_bootstrap(bootstrap, fork, block_root) {
+    const header_root = await BeaconBlockHeader.hash_tree_root(bootstrap.header.beacon);
+    if (!bytes_equal(header_root, from_hex(block_root))) throw new Error(`Bootstrap header root ${to_hex(header_root)} does not match the requested block root ${block_root}`);
+    if (!await is_valid_light_client_header(bootstrap.header, fork)) throw new Error(`Invalid execution branch in bootstrap header (${fork.name})`);
+    const leaf = await SyncCommittee.hash_tree_root(bootstrap.current_sync_committee);
+    const root = await merkle_root_from_branch(fork.types.gindices.current_sync_committee, bootstrap.current_sync_committee_branch, leaf);
+    if (!bytes_equal(root, bootstrap.header.beacon.state_root)) throw new Error(`Invalid Merkle Proof: current_sync_committee does not match the state root (${fork.name})`);
+}
+
+/**
+ * checks the participation of the sync aggregate.
+ * Light clients only apply updates signed by a supermajority, so anything below 2/3 is reported as an error.
+ * @returns {number} the number of participants
+ */
+export function verify_participation(sync_aggregate) {
+    const participants = count_bits(sync_aggregate.sync_committee_bits);
+    if (participants < MIN_SYNC_COMMITTEE_PARTICIPANTS) throw new Error('Sync aggregate has no participants');
+    if (participants * 3 < SYNC_COMMITTEE_SIZE * 2) throw new Error(`Sync committee participation below supermajority: ${participants}/${SYNC_COMMITTEE_SIZE}`);
+    return participants;
+}
+
+export async function compute_domain(domain_type, fork_version, genesis_validators_root) {
+    const fork_data_root = await compute_fork_data_root(fork_version, genesis_validators_root);
+    return pad32([...from_hex(domain_type), ...fork_data_root.slice(0, 28)]);
+}
+
+// The aggregate_pubkey is part of the committee root, so subtracting the few missing signers is cheaper than summing the participants.
+function participant_pubkey(sync_committee, bits) {
+    const { Point } = bls12_381.G1;
+    const participants = count_bits(bits);
+    if (participants * 2 >= SYNC_COMMITTEE_SIZE) {
+        let key = Point.fromBytes(sync_committee.aggregate_pubkey);
+        for (let i = 0; i < SYNC_COMMITTEE_SIZE; i++) {
+            if (!get_bit(bits, i)) key = key.subtract(Point.fromBytes(sync_committee.pubkeys[i]));
+        }
+        return key;
+    }
+    return bls12_381.longSignatures.aggregatePublicKeys(sync_committee.pubkeys.filter((_, i) => get_bit(bits, i)));
+}
+
+/**
+ * verifies the BLS signature of the sync aggregate over the attested header
+ * (https://github.com/ethereum/consensus-specs/blob/dev/specs/altair/light-client/sync-protocol.md#validate_light_client_update).
+ * @param {object} update the light client, finality or optimistic update
+ * @param {object} sync_committee the sync committee of the period of the signature slot
+ * @param {ForkConfig} config the fork schedule of the network
+ */
+export async function verify_sync_aggregate(update, sync_committee, config) {
+    verify_participation(update.sync_aggregate);
+    const signature_slot = update.signature_slot > 1n ? update.signature_slot : 1n;
+    const fork_version = config.fork_at_slot(signature_slot - 1n).version;
+    const domain = await compute_domain(DOMAIN_SYNC_COMMITTEE, fork_version, config.genesis_validators_root);
+    const signing_root = await sha256(await BeaconBlockHeader.hash_tree_root(update.attested_header.beacon), domain);
+
+    const bls = bls12_381.longSignatures;
+    let valid = false;
+    try {
+        const pubkey = participant_pubkey(sync_committee, update.sync_aggregate.sync_committee_bits);
+        valid = bls.verify(update.sync_aggregate.sync_committee_signature, bls.hash(signing_root, BLS_DST), pubkey);
+    } catch (error) {
+        throw new Error(`Invalid sync aggregate: ${error.message}`);
+    }
+    if (!valid) throw new Error(`Invalid sync aggregate signature for slot ${update.attested_header.beacon.slot}`);
+}
+
+// Decodes the update by trying every known layout, newest first. Used when the fork digest can not be resolved.
+export async function detect_light_client_update(payload) {
+    const errors = [];
+    const layouts = FORKS.filter((f, i) => f.types && (i === 0 || FORKS[i - 1].types !== f.types));
+    for (const fork of layouts.reverse()) {
+        try {
+            const update = fork.types.LightClientUpdate.decode(payload);
+            await verify_light_client_update(update, fork);
+            return { fork, update };
+        } catch (error) {
+            errors.push(`${fork.name}: ${error.message}`);
+        }
+    }
+    throw new Error(`Unable to decode light client update with any known fork layout (${errors.join(', ')})`);
+}
@@ -0,0 +1,208 @@
+// Periodically re-runs the checks for a list of nodes, keeps a rolling history per node and check
+// and renders the latest state in the Prometheus text exposition format.
+import { check_beacon_node } from './beacon.mjs';
+import { check_execution_node } from './execution.mjs';
+import { check_colibri_node } from './prover.mjs';
+import { detectNodeType } from './detectNodeType.mjs';
+import { check_expected_type } from './inventory.mjs';
+import { public_url } from './transport.mjs';
+import { is_detection_failure } from './report.mjs';
+
+const CHECK_MAP = {
+    beacon: check_beacon_node,
+    execution: check_execution_node,
+    colibri: check_colibri_node,
+};
+
+export const DEFAULT_INTERVAL_SECONDS = 300;
+export const DEFAULT_HISTORY_SIZE = 100;
+
+const escape_label = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labels = (obj) => !Object.keys(obj).length ? '' : '{' + Object.entries(obj).map(([key, value]) => `${key}="${escape_label(value)}"`).join(',') + '}';
+
+// `nodes` are urls, checked with the `transport` options, or inventory nodes with their own options.
+// The metrics and the history are served without authentication, so labeled nodes are published by their label only
+// and the urls of the others without credentials.
+export class Monitor {
+    constructor(nodes, { interval = DEFAULT_INTERVAL_SECONDS, history_size = DEFAULT_HISTORY_SIZE, transport = {}, logger = console } = {}) {
+        this.nodes = nodes;
+        this.transport = transport;
+        this.interval = interval;
+        this.history_size = history_size;
+        this.logger = logger;
+        this.state = {};
+        this.running = false;
+        this.timer = null;
+        this.runs = 0;
+    }
+
+    node_state(url, label = url) {
+        if (!this.state[label]) {
+            this.state[label] = {
+                ...(label === url ? { url: public_url(url) } : { label }),
+                type: null,
+                error: null,
+                category: null,
+                suitable: false,
+                last_run: 0,
+                run_duration: 0,
+                req_count_total: 0,
+                req_time_total: 0,
+                checks: {},
+            };
+        }
+        return this.state[label];
+    }
+
+    push_history(state, name, entry) {
+        if (!state.checks[name]) state.checks[name] = { required: entry.required, history: [] };
+        const check_state = state.checks[name];
+        check_state.required = entry.required;
+        check_state.history.push(entry);
+        if (check_state.history.length > this.history_size) check_state.history.splice(0, check_state.history.length - this.history_size);
+    }
+
+    async check_node(target) {
+        const node_config = typeof target === 'string' ? { url: target } : target;
+        const { url, label = url, options = this.transport } = node_config;
+        const state = this.node_state(url, label);
+        const name = state.label || state.url;
+        const start = Date.now();
+        try {
+            const { type, url: normalizedUrl } = await detectNodeType(url, options);
+            check_expected_type(node_config, type);
+            const check_function = CHECK_MAP[type];
+            if (!check_function) {
+                throw new Error(`Unsupported node type detected: ${type}`);
+            }
+            state.type = type;
+            state.error = null;
+            state.category = null;
+
+            // The node counters are cumulative, so the requests of one check are the delta since the previous callback.
+            let last_count = 0, last_time = 0, current_node = null;
+            // the rate limit check ramps up the load on the node, too much to repeat it every interval
+            const check_options = { ...options, rate_limit: false, skip: [...(options.skip || []), 'rate_limit'] };
+            const results = await check_function(normalizedUrl, (check, checks, node) => {
+                current_node = node;
+                const check_definition = checks.find(c => c.name === check.name);
+                this.push_history(state, check.name, {
+                    timestamp: Date.now(),
+                    passed: check.passed,
+                    result: check.result,
+                    required: check_definition ? check_definition.required : false,
+                    req_count: node.req_count - last_count,
+                    req_time: node.req_time - last_time,
+                });
+                last_count = node.req_count;
+                last_time = node.req_time;
+            }, check_options);
+            if (current_node) {
+                state.req_count_total += current_node.req_count;
+                state.req_time_total += current_node.req_time;
+            }
+
+            const suitable = results.some(r => r.name === 'colibri suitable' && r.passed);
+            if (state.last_run && state.suitable !== suitable) {
+                this.logger.log(`[monitor] ${type} node ${name} is ${suitable ? 'now' : 'no longer'} colibri suitable`);
+            }
+            state.suitable = suitable;
+        } catch (error) {
+            state.error = error.message;
+            state.category = error.category || null;
+            state.suitable = false;
+            // the checks which did not run this time fail, so the gauges don't keep the results of the last good run
+            for (const [name, { required, history }] of Object.entries(state.checks)) {
+                if (history[history.length - 1].timestamp >= start) continue;
+                this.push_history(state, name, { timestamp: Date.now(), passed: false, result: `not run: ${error.message}`, required, req_count: 0, req_time: 0 });
+            }
+            this.logger.error(`[monitor] Failed to check node ${name}: ${error.message}`);
+        }
+        state.last_run = Date.now();
+        state.run_duration = state.last_run - start;
+        return state;
+    }
+
+    async run_once() {
+        for (const node of this.nodes) {
+            await this.check_node(node);
+        }
+        this.runs += 1;
+    }
+
+    start() {
+        if (this.running) return this;
+        this.running = true;
+        const loop = async () => {
+            await this.run_once();
+            if (this.running) this.timer = setTimeout(loop, this.interval * 1000);
+        };
+        loop();
+        return this;
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    history() {
+        return Object.values(this.state).map(({ checks, ...node }) => ({
+            ...node,
+            checks: Object.entries(checks).map(([name, { required, history }]) => ({ name, required, history })),
+        }));
+    }
+
+    metrics() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [label_values, value] of samples) lines.push(`${name}${labels(label_values)} ${value}`);
+        };
+        const nodes = Object.values(this.state);
+        // nodes of an inventory are labeled by their name instead of their url
+        const url_labels = (state) => state.label ? { label: state.label } : { url: state.url };
+        const node_labels = (state) => ({ ...url_labels(state), type: state.type || 'unknown' });
+        const check_samples = (fn) => nodes.flatMap(state => Object.entries(state.checks)
+            .map(([name, check_state]) => [{ ...node_labels(state), check: name, required: check_state.required }, fn(check_state.history)]));
+
+        metric('node_check_runs_total', 'counter', 'Number of completed monitoring rounds.', [[{}, this.runs]]);
+        metric('node_check_detection_failed', 'gauge', 'Whether the node type could not be detected in the last run.',
+            nodes.map(state => [url_labels(state), is_detection_failure(state) ? 1 : 0]));
+        metric('node_check_suitable', 'gauge', 'Whether the node passed all required checks in the last run.',
+            nodes.map(state => [node_labels(state), state.suitable ? 1 : 0]));
+        metric('node_check_last_run_timestamp_seconds', 'gauge', 'Time of the last run of the node checks.',
+            nodes.map(state => [url_labels(state), Math.floor(state.last_run / 1000)]));
+        metric('node_check_run_duration_seconds', 'gauge', 'Duration of the last run of the node checks.',
+            nodes.map(state => [url_labels(state), state.run_duration / 1000]));
+        metric('node_check_requests_total', 'counter', 'Number of successful requests made to the node.',
+            nodes.map(state => [node_labels(state), state.req_count_total]));
+        metric('node_check_request_duration_seconds_total', 'counter', 'Accumulated response time of the successful requests made to the node.',
+            nodes.map(state => [node_labels(state), state.req_time_total / 1000]));
+        metric('node_check_avg_response_time_seconds', 'gauge', 'Average response time of the node across all runs.',
+            nodes.map(state => [node_labels(state), state.req_count_total ? state.req_time_total / state.req_count_total / 1000 : 0]));
+        metric('node_check_check_passed', 'gauge', 'Whether the check passed in the last run.',
+            check_samples(history => history[history.length - 1].passed ? 1 : 0));
+        metric('node_check_check_pass_ratio', 'gauge', 'Share of passed runs of the check within the retained history.',
+            check_samples(history => history.filter(h => h.passed).length / history.length));
+        metric('node_check_check_avg_response_time_seconds', 'gauge', 'Average response time of the requests made by the check in the last run.',
+            check_samples(history => {
+                const last = history[history.length - 1];
+                return last.req_count ? last.req_time / last.req_count / 1000 : 0;
+            }));
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Registers the /metrics and /history endpoints of a monitor on an express app.
+export function mount_monitor(app, monitor) {
+    app.get('/metrics', (req, res) => {
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(monitor.metrics());
+    });
+    app.get('/history', (req, res) => {
+        res.json(monitor.history());
+    });
+    return app;
+}
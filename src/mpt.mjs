@@ -0,0 +1,283 @@
+// Isomorphic RLP encoding and Merkle-Patricia trie proof verification
+// (https://ethereum.org/en/developers/docs/data-structures-and-encoding/patricia-merkle-trie/).
+// RLP items are Uint8Arrays, lists are arrays of items.
+import { keccak_256 } from '@noble/hashes/sha3.js';
+import { from_hex, to_hex, concat_bytes, bytes_equal } from './ssz.mjs';
+
+export const keccak256 = (...values) => keccak_256(concat_bytes(...values.map(from_hex)));
+
+// keccak256(rlp('')), the root of an empty trie
+export const EMPTY_TRIE_ROOT = '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421';
+// keccak256(''), the code hash of accounts without code
+export const EMPTY_CODE_HASH = '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470';
+
+// --- RLP ---
+
+// Big endian bytes of a quantity without leading zeros, so 0 is encoded as an empty string.
+export function quantity_to_bytes(value) {
+    let hex = BigInt(value).toString(16);
+    if (hex === '0') return new Uint8Array(0);
+    if (hex.length % 2) hex = '0' + hex;
+    return from_hex(hex);
+}
+
+const encode_length = (length, offset) => {
+    if (length < 56) return Uint8Array.of(offset + length);
+    const length_bytes = quantity_to_bytes(length);
+    return concat_bytes(Uint8Array.of(offset + 55 + length_bytes.length), length_bytes);
+};
+
+export function rlp_encode(item) {
+    if (Array.isArray(item)) {
+        const payload = concat_bytes(...item.map(rlp_encode));
+        return concat_bytes(encode_length(payload.length, 0xc0), payload);
+    }
+    const bytes = typeof item === 'number' || typeof item === 'bigint' ? quantity_to_bytes(item) : from_hex(item);
+    if (bytes.length === 1 && bytes[0] < 0x80) return bytes;
+    return concat_bytes(encode_length(bytes.length, 0x80), bytes);
+}
+
+function decode_item(bytes, offset) {
+    if (offset >= bytes.length) throw new Error('RLP: unexpected end of data');
+    const prefix = bytes[offset];
+    const read_length = (length_of_length) => {
+        if (offset + 1 + length_of_length > bytes.length) throw new Error('RLP: unexpected end of data');
+        let length = 0;
+        for (let i = 0; i < length_of_length; i++) length = length * 256 + bytes[offset + 1 + i];
+        return length;
+    };
+
+    let start, length, is_list;
+    if (prefix < 0x80) return { item: bytes.subarray(offset, offset + 1), end: offset + 1 };
+    if (prefix < 0xb8) [start, length, is_list] = [offset + 1, prefix - 0x80, false];
+    else if (prefix < 0xc0) [start, length, is_list] = [offset + 1 + prefix - 0xb7, read_length(prefix - 0xb7), false];
+    else if (prefix < 0xf8) [start, length, is_list] = [offset + 1, prefix - 0xc0, true];
+    else [start, length, is_list] = [offset + 1 + prefix - 0xf7, read_length(prefix - 0xf7), true];
+
+    const end = start + length;
+    if (end > bytes.length) throw new Error('RLP: unexpected end of data');
+    if (!is_list) return { item: bytes.subarray(start, end), end };
+
+    const items = [];
+    for (let position = start; position < end;) {
+        const decoded = decode_item(bytes, position);
+        items.push(decoded.item);
+        position = decoded.end;
+    }
+    return { item: items, end };
+}
+
+export function rlp_decode(data) {
+    const bytes = from_hex(data);
+    const { item, end } = decode_item(bytes, 0);
+    if (end !== bytes.length) throw new Error(`RLP: ${bytes.length - end} trailing bytes`);
+    return item;
+}
+
+// --- Merkle-Patricia trie ---
+
+const to_nibbles = (bytes) => {
+    const nibbles = [];
+    for (const b of bytes) nibbles.push(b >> 4, b & 0x0f);
+    return nibbles;
+};
+
+// Decodes the hex-prefix encoded path of a leaf or extension node.
+function decode_path(encoded) {
+    const nibbles = to_nibbles(encoded);
+    const flag = nibbles[0];
+    if (flag > 3) throw new Error(`Invalid hex prefix ${flag}`);
+    return { path: nibbles.slice(flag & 1 ? 1 : 2), is_leaf: flag >= 2 };
+}
+
+const starts_with = (nibbles, prefix) => prefix.length <= nibbles.length && prefix.every((n, i) => nibbles[i] === n);
+
+/**
+ * Walks a Merkle-Patricia proof from the root to the value of a key.
+ * @param {string|Uint8Array} root the expected root hash of the trie
+ * @param {string|Uint8Array} key the path in the trie (already hashed for secure tries)
+ * @param {Array<string|Uint8Array>} proof the rlp encoded nodes along the path
+ * @returns {Uint8Array|null} the value, or null if the proof shows that the key is not part of the trie
+ */
+export function verify_proof(root, key, proof) {
+    const nodes = new Map(proof.map(node => [to_hex(keccak256(node)), from_hex(node)]));
+    let path = to_nibbles(from_hex(key));
+    let reference = from_hex(root);
+    for (let depth = 0; ; depth++) {
+        let node;
+        if (Array.isArray(reference)) {
+            // nodes smaller than 32 bytes are embedded in their parent
+            node = reference;
+        } else if (reference.length === 0) {
+            return null;
+        } else {
+            const raw = nodes.get(to_hex(reference));
+            if (!raw) {
+                if (depth === 0 && to_hex(reference) === EMPTY_TRIE_ROOT) return null;
+                throw new Error(`Missing proof node ${to_hex(reference)} at depth ${depth}`);
+            }
+            node = rlp_decode(raw);
+        }
+
+        if (node.length === 17) {
+            if (!path.length) return node[16].length ? node[16] : null;
+            reference = node[path[0]];
+            path = path.slice(1);
+        } else if (node.length === 2) {
+            const { path: node_path, is_leaf } = decode_path(node[0]);
+            if (is_leaf) return node_path.length === path.length && starts_with(path, node_path) ? node[1] : null;
+            if (!starts_with(path, node_path)) return null;
+            path = path.slice(node_path.length);
+            reference = node[1];
+        } else {
+            throw new Error(`Invalid trie node with ${node.length} items at depth ${depth}`);
+        }
+    }
+}
+
+// Hex-prefix encodes the path of a leaf or extension node.
+function encode_path(nibbles, is_leaf) {
+    const flag = (is_leaf ? 2 : 0) + (nibbles.length % 2);
+    const all = flag & 1 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+    const bytes = new Uint8Array(all.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = (all[i * 2] << 4) | all[i * 2 + 1];
+    return bytes;
+}
+
+// A child is referenced by its hash, or embedded in its parent if its encoding is shorter than 32 bytes.
+const node_reference = (node) => {
+    const encoded = rlp_encode(node);
+    return encoded.length < 32 ? node : keccak256(encoded);
+};
+
+function build_node(entries) {
+    if (entries.length === 1) return [encode_path(entries[0].path, true), entries[0].value];
+
+    let prefix_length = 0;
+    const first = entries[0].path;
+    while (prefix_length < first.length && entries.every(e => e.path.length > prefix_length && e.path[prefix_length] === first[prefix_length])) prefix_length++;
+    if (prefix_length) {
+        const child = build_node(entries.map(e => ({ path: e.path.slice(prefix_length), value: e.value })));
+        return [encode_path(first.slice(0, prefix_length), false), node_reference(child)];
+    }
+
+    const branch = Array.from({ length: 17 }, () => new Uint8Array(0));
+    for (let nibble = 0; nibble < 16; nibble++) {
+        const children = entries.filter(e => e.path.length && e.path[0] === nibble).map(e => ({ path: e.path.slice(1), value: e.value }));
+        if (children.length) branch[nibble] = node_reference(build_node(children));
+    }
+    const value_entry = entries.find(e => !e.path.length);
+    if (value_entry) branch[16] = value_entry.value;
+    return branch;
+}
+
+/**
+ * Computes the root hash of a Merkle-Patricia trie.
+ * @param {Array<[string|Uint8Array, string|Uint8Array]>} entries the keys and values of the trie
+ * @returns {string} the root hash as hex
+ */
+export function trie_root(entries) {
+    if (!entries.length) return EMPTY_TRIE_ROOT;
+    const nodes = entries.map(([key, value]) => ({ path: to_nibbles(from_hex(key)), value: from_hex(value) }));
+    return to_hex(keccak256(rlp_encode(build_node(nodes))));
+}
+
+/**
+ * Builds the proof of a key, the rlp encoded nodes from the root along its path as returned by `eth_getProof`.
+ * Keys which are not part of the trie get a proof of absence.
+ * @param {Array<[string|Uint8Array, string|Uint8Array]>} entries the keys and values of the trie
+ * @param {string|Uint8Array} key the path in the trie
+ * @returns {string[]} the nodes as hex
+ */
+export function trie_proof(entries, key) {
+    if (!entries.length) return [];
+    let nodes = entries.map(([k, value]) => ({ path: to_nibbles(from_hex(k)), value: from_hex(value) }));
+    let path = to_nibbles(from_hex(key));
+    const proof = [];
+    for (let depth = 0; ; depth++) {
+        const node = build_node(nodes);
+        const encoded = rlp_encode(node);
+        // embedded nodes are part of the encoding of their parent
+        if (depth === 0 || encoded.length >= 32) proof.push(to_hex(encoded));
+        if (node.length === 2) {
+            const { path: node_path, is_leaf } = decode_path(node[0]);
+            if (is_leaf || !starts_with(path, node_path)) return proof;
+            nodes = nodes.map(e => ({ path: e.path.slice(node_path.length), value: e.value }));
+            path = path.slice(node_path.length);
+        } else {
+            if (!path.length) return proof;
+            const nibble = path[0];
+            nodes = nodes.filter(e => e.path.length && e.path[0] === nibble).map(e => ({ path: e.path.slice(1), value: e.value }));
+            path = path.slice(1);
+            if (!nodes.length) return proof;
+        }
+    }
+}
+
+// Encodes a receipt as returned by the RPC api, legacy receipts as rlp list and typed receipts (EIP-2718) prefixed with their type.
+export function encode_receipt(receipt) {
+    const fields = [
+        receipt.status !== undefined && receipt.status !== null ? BigInt(receipt.status) : from_hex(receipt.root),
+        BigInt(receipt.cumulativeGasUsed),
+        from_hex(receipt.logsBloom),
+        receipt.logs.map(log => [from_hex(log.address), log.topics.map(from_hex), from_hex(log.data)]),
+    ];
+    // deposit transactions of OP stack chains
+    if (receipt.depositNonce !== undefined) fields.push(BigInt(receipt.depositNonce));
+    if (receipt.depositReceiptVersion !== undefined) fields.push(BigInt(receipt.depositReceiptVersion));
+
+    const type = Number(receipt.type || 0);
+    const encoded = rlp_encode(fields);
+    return type ? concat_bytes(Uint8Array.of(type), encoded) : encoded;
+}
+
+// Computes the receipts root of a block from its receipts, keyed by rlp(transaction index).
+export const receipts_root = (receipts) => trie_root(receipts.map((receipt, index) => [rlp_encode(index), encode_receipt(receipt)]));
+
+/**
+ * Verifies the account proof and the storage proofs of an `eth_getProof` response.
+ * @param {string} state_root the state root of the block the proof was requested for
+ * @param {object} proof the result of `eth_getProof`
+ * @param {{address: string, storage_keys: string[]}} [request] the requested account and storage keys, which the
+ *        proof has to be for, so a valid proof of another account or slot doesn't pass
+ * @returns {number} the number of verified storage proofs
+ */
+export function verify_account_proof(state_root, proof, request) {
+    if (request) {
+        if (String(proof.address).toLowerCase() !== request.address.toLowerCase()) {
+            throw new Error(`Proof is for ${proof.address} instead of ${request.address}`);
+        }
+        const keys = (proof.storageProof || []).map(storage => BigInt(storage.key));
+        if (keys.length !== request.storage_keys.length || request.storage_keys.some((key, i) => BigInt(key) !== keys[i])) {
+            throw new Error(`Storage proofs of ${proof.address} do not match the requested keys`);
+        }
+    }
+    const value = verify_proof(state_root, keccak256(proof.address), proof.accountProof);
+    const expected = [proof.nonce, proof.balance, proof.storageHash, proof.codeHash];
+    if (value) {
+        const account = rlp_decode(value);
+        if (account.length !== 4) throw new Error(`Invalid account for ${proof.address}`);
+        const fields = ['nonce', 'balance', 'storageHash', 'codeHash'];
+        account.forEach((field, i) => {
+            const matches = i < 2 ? bytes_equal(field, quantity_to_bytes(expected[i])) : bytes_equal(field, from_hex(expected[i]));
+            if (!matches) throw new Error(`${fields[i]} of ${proof.address} does not match the account proof`);
+        });
+    } else {
+        const is_empty = BigInt(proof.nonce) === 0n && BigInt(proof.balance) === 0n
+            && [EMPTY_TRIE_ROOT, '0x' + '0'.repeat(64)].includes(proof.storageHash.toLowerCase())
+            && [EMPTY_CODE_HASH, '0x' + '0'.repeat(64)].includes(proof.codeHash.toLowerCase());
+        if (!is_empty) throw new Error(`Account proof shows ${proof.address} does not exist, but the account is not empty`);
+    }
+
+    // some clients return a zero storage hash for accounts that don't exist
+    const storage_root = value ? proof.storageHash : EMPTY_TRIE_ROOT;
+    for (const storage of proof.storageProof || []) {
+        const slot = from_hex(BigInt(storage.key).toString(16).padStart(64, '0'));
+        const storage_value = verify_proof(storage_root, keccak256(slot), storage.proof);
+        const actual = storage_value ? rlp_decode(storage_value) : new Uint8Array(0);
+        if (!bytes_equal(actual, quantity_to_bytes(storage.value))) {
+            throw new Error(`Storage slot ${storage.key} of ${proof.address} does not match the storage proof`);
+        }
+    }
+    return (proof.storageProof || []).length;
+}
@@ -0,0 +1,106 @@
+// Parameters of the supported networks and the detection of the network a node is on.
+// `spec` holds the fork schedule in the format of `/eth/v1/config/spec`, used if a node does not serve its own.
+
+export const NETWORKS = {
+    mainnet: {
+        chain_id: 1n,
+        genesis_validators_root: '0x4b363db94e286120d76eb905340fdd4e54bfe9f06bf33ff6cf5ad27f511bfe95',
+        seconds_per_slot: 12,
+        deposit_contract: '0x00000000219ab540356cBB839Cbe05303d7705Fa',
+        spec: {
+            SLOTS_PER_EPOCH: '32',
+            EPOCHS_PER_SYNC_COMMITTEE_PERIOD: '256',
+            GENESIS_FORK_VERSION: '0x00000000',
+            ALTAIR_FORK_VERSION: '0x01000000', ALTAIR_FORK_EPOCH: '74240',
+            BELLATRIX_FORK_VERSION: '0x02000000', BELLATRIX_FORK_EPOCH: '144896',
+            CAPELLA_FORK_VERSION: '0x03000000', CAPELLA_FORK_EPOCH: '194048',
+            DENEB_FORK_VERSION: '0x04000000', DENEB_FORK_EPOCH: '269568',
+            ELECTRA_FORK_VERSION: '0x05000000', ELECTRA_FORK_EPOCH: '364032',
+            FULU_FORK_VERSION: '0x06000000', FULU_FORK_EPOCH: '411392',
+        },
+    },
+    sepolia: {
+        chain_id: 11155111n,
+        genesis_validators_root: '0xd8ea171f3c94aea21ebc42a1ed61052acf3f9209c00e4efbaaddac09ed9b8078',
+        seconds_per_slot: 12,
+        deposit_contract: '0x7f02C3E3c98b133055B8B348B2Ac625669Ed295D',
+        spec: {
+            SLOTS_PER_EPOCH: '32',
+            EPOCHS_PER_SYNC_COMMITTEE_PERIOD: '256',
+            GENESIS_FORK_VERSION: '0x90000069',
+            ALTAIR_FORK_VERSION: '0x90000070', ALTAIR_FORK_EPOCH: '50',
+            BELLATRIX_FORK_VERSION: '0x90000071', BELLATRIX_FORK_EPOCH: '100',
+            CAPELLA_FORK_VERSION: '0x90000072', CAPELLA_FORK_EPOCH: '56832',
+            DENEB_FORK_VERSION: '0x90000073', DENEB_FORK_EPOCH: '132608',
+            ELECTRA_FORK_VERSION: '0x90000074', ELECTRA_FORK_EPOCH: '222464',
+            FULU_FORK_VERSION: '0x90000075', FULU_FORK_EPOCH: '272640',
+        },
+    },
+    holesky: {
+        chain_id: 17000n,
+        genesis_validators_root: '0x9143aa7c615a7f7115e2b6aac319c03529df8242ae705fba9df39b79c59fa8b1',
+        seconds_per_slot: 12,
+        deposit_contract: '0x4242424242424242424242424242424242424242',
+        spec: {
+            SLOTS_PER_EPOCH: '32',
+            EPOCHS_PER_SYNC_COMMITTEE_PERIOD: '256',
+            GENESIS_FORK_VERSION: '0x01017000',
+            ALTAIR_FORK_VERSION: '0x02017000', ALTAIR_FORK_EPOCH: '0',
+            BELLATRIX_FORK_VERSION: '0x03017000', BELLATRIX_FORK_EPOCH: '0',
+            CAPELLA_FORK_VERSION: '0x04017000', CAPELLA_FORK_EPOCH: '256',
+            DENEB_FORK_VERSION: '0x05017000', DENEB_FORK_EPOCH: '29696',
+            ELECTRA_FORK_VERSION: '0x06017000', ELECTRA_FORK_EPOCH: '115968',
+            FULU_FORK_VERSION: '0x07017000', FULU_FORK_EPOCH: '165120',
+        },
+    },
+    gnosis: {
+        chain_id: 100n,
+        genesis_validators_root: '0xf5dcb5564e829aab27264b9becd5dfaa017085611224cb3036f573368dbb9d47',
+        seconds_per_slot: 5,
+        deposit_contract: '0x0B98057eA310F4d31F2a452B414647007d1645d9',
+        spec: {
+            SLOTS_PER_EPOCH: '16',
+            EPOCHS_PER_SYNC_COMMITTEE_PERIOD: '512',
+            GENESIS_FORK_VERSION: '0x00000064',
+            ALTAIR_FORK_VERSION: '0x01000064', ALTAIR_FORK_EPOCH: '512',
+            BELLATRIX_FORK_VERSION: '0x02000064', BELLATRIX_FORK_EPOCH: '385536',
+            CAPELLA_FORK_VERSION: '0x03000064', CAPELLA_FORK_EPOCH: '648704',
+            DENEB_FORK_VERSION: '0x04000064', DENEB_FORK_EPOCH: '889856',
+            ELECTRA_FORK_VERSION: '0x05000064', ELECTRA_FORK_EPOCH: '1337856',
+        },
+    },
+};
+
+// The name of a network, or `chain <id>` for networks without parameters.
+export function network_of_chain_id(chain_id) {
+    const id = BigInt(chain_id);
+    return Object.keys(NETWORKS).find(name => NETWORKS[name].chain_id === id) || `chain ${id}`;
+}
+
+/**
+ * detects the network of a beacon node by its genesis validators root and checks that its spec agrees.
+ * @param {object} spec the response of `/eth/v1/config/spec`
+ * @param {string} genesis_validators_root from `/eth/v1/beacon/genesis`
+ * @returns {string} the name of the network
+ */
+export function network_of_beacon(spec, genesis_validators_root) {
+    const root = String(genesis_validators_root).toLowerCase();
+    const name = Object.keys(NETWORKS).find(n => NETWORKS[n].genesis_validators_root === root);
+    if (!name) return spec?.DEPOSIT_CHAIN_ID !== undefined ? network_of_chain_id(spec.DEPOSIT_CHAIN_ID) : `genesis ${root}`;
+
+    const network = NETWORKS[name];
+    if (spec?.DEPOSIT_CHAIN_ID !== undefined && BigInt(spec.DEPOSIT_CHAIN_ID) !== network.chain_id) {
+        throw new Error(`Inconsistent network: genesis of ${name}, but deposit chain id ${spec.DEPOSIT_CHAIN_ID}`);
+    }
+    if (spec?.GENESIS_FORK_VERSION && spec.GENESIS_FORK_VERSION.toLowerCase() !== network.spec.GENESIS_FORK_VERSION) {
+        throw new Error(`Inconsistent network: genesis of ${name}, but genesis fork version ${spec.GENESIS_FORK_VERSION}`);
+    }
+    return name;
+}
+
+// Checks the detected network of a node against the expected one and describes it.
+export function check_expected_network(network, expected) {
+    if (!network) throw new Error('Network could not be detected');
+    if (expected && network !== expected) throw new Error(`Wrong network: expected ${expected}, node is on ${network}`);
+    return NETWORKS[network] ? `ok (${network})` : `ok (${network}, no network parameters, using mainnet defaults)`;
+}
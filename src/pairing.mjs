@@ -0,0 +1,89 @@
+// Checks that a beacon node and an execution node follow the same chain,
+// by comparing the execution payloads of recent beacon blocks with the blocks of the execution node.
+import { Node } from './beacon.mjs';
+import { ExecutionNode } from './execution.mjs';
+import { network_of_chain_id, check_expected_network } from './networks.mjs';
+import { select_checks } from './profiles.mjs';
+import { run_checks, suitability_check, with_plugins } from './plugins.mjs';
+
+const RECENT_BLOCKS = 8;
+const MAX_HEAD_LAG_BLOCKS = 3;
+
+// The execution payload header of a beacon block, from the blinded block if the node supports it.
+async function execution_payload(beacon, block_id) {
+    let body;
+    try {
+        body = await beacon.json(`/eth/v1/beacon/blinded_blocks/${block_id}`).then(r => r.data.message.body);
+    } catch (error) {
+        body = await beacon.json(`/eth/v2/beacon/blocks/${block_id}`).then(r => r.data.message.body);
+    }
+    const payload = body.execution_payload_header || body.execution_payload;
+    if (!payload) throw new Error(`Block ${block_id} has no execution payload (pre-merge block?)`);
+    return { block_number: BigInt(payload.block_number), block_hash: payload.block_hash.toLowerCase() };
+}
+
+async function execution_block(execution, block_number) {
+    const block = await execution.rpc('eth_getBlockByNumber', ['0x' + block_number.toString(16), false]);
+    if (!block) throw new Error(`Execution node does not know block ${block_number}`);
+    return { block_number: BigInt(block.number), block_hash: block.hash.toLowerCase() };
+}
+
+async function check_chain_id(beacon, execution) {
+    const spec = await beacon.json('/eth/v1/config/spec').then(r => r.data);
+    const chain_id = BigInt(await execution.rpc('eth_chainId'));
+    const deposit_chain_id = BigInt(spec.DEPOSIT_CHAIN_ID);
+    if (chain_id !== deposit_chain_id) throw new Error(`Wrong network: beacon node expects chain id ${deposit_chain_id}, execution node is on ${chain_id}`);
+    return check_expected_network(network_of_chain_id(chain_id), execution.expected_network);
+}
+
+async function check_head_lag(beacon, execution) {
+    const head = await execution_payload(beacon, 'head');
+    const latest = BigInt(await execution.rpc('eth_blockNumber'));
+    const lag = head.block_number - latest;
+    if (lag > MAX_HEAD_LAG_BLOCKS) throw new Error(`Execution node is ${lag} blocks behind the beacon head (${latest} < ${head.block_number})`);
+    if (-lag > MAX_HEAD_LAG_BLOCKS) throw new Error(`Beacon node is ${-lag} blocks behind the execution node (${head.block_number} < ${latest})`);
+    return lag > 0 ? `ok (execution node ${lag} blocks behind)` : lag < 0 ? `ok (beacon node ${-lag} blocks behind)` : 'ok (in sync)';
+}
+
+async function check_recent_blocks(beacon, execution) {
+    let header = await beacon.json('/eth/v1/beacon/headers/head').then(r => r.data);
+    const mismatches = [];
+    let compared = 0;
+    for (let i = 0; i < RECENT_BLOCKS; i++) {
+        const payload = await execution_payload(beacon, header.root);
+        const block = await execution_block(execution, payload.block_number).catch(error => {
+            // the execution node may not have imported the latest head yet
+            if (i === 0) return null;
+            throw error;
+        });
+        if (block) {
+            compared++;
+            if (block.block_hash !== payload.block_hash) mismatches.push(`${payload.block_number} (${payload.block_hash} !== ${block.block_hash})`);
+        }
+        header = await beacon.json(`/eth/v1/beacon/headers/${header.header.message.parent_root}`).then(r => r.data);
+    }
+    if (mismatches.length) throw new Error(`Block hash mismatch for ${mismatches.length}/${compared} blocks: ${mismatches.join(', ')}`);
+    return `ok (${compared} blocks)`;
+}
+
+async function check_finalized_block(beacon, execution) {
+    const payload = await execution_payload(beacon, 'finalized');
+    const block = await execution_block(execution, payload.block_number);
+    if (block.block_hash !== payload.block_hash) throw new Error(`Finalized block ${payload.block_number} mismatch: ${payload.block_hash} !== ${block.block_hash}`);
+    return `ok (block ${payload.block_number})`;
+}
+
+// `execution_options` are the options of the execution node if they differ from the beacon node's, e.g. in an inventory.
+export async function check_pairing(beacon_url, execution_url, cb, options, execution_options = options) {
+    const beacon = new Node(beacon_url, options);
+    const execution = new ExecutionNode(execution_url, execution_options);
+    const checks = select_checks('pairing', with_plugins('pairing', [
+        { name: 'chain_id', fn: check_chain_id, required: true },
+        { name: 'head_lag', fn: check_head_lag, required: true },
+        { name: 'recent_blocks_match', fn: check_recent_blocks, required: true },
+        { name: 'finalized_block_match', fn: check_finalized_block, required: true },
+        suitability_check,
+    ]), options);
+
+    return run_checks(checks, [beacon, execution], cb);
+}
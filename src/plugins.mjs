@@ -0,0 +1,113 @@
+// Registration of custom checks and the loop running the checks of a node.
+//
+// A plugin is an ES module whose default export receives the API and registers its checks:
+//
+//   export default function ({ register_check }) {
+//       register_check({
+//           name: 'eth_feeHistory',
+//           type: 'execution',
+//           required: false,
+//           depends_on: ['network'],
+//           fn: async (node, { results }) => `ok (${(await node.rpc('eth_feeHistory', [4, 'latest', []])).baseFeePerGas.length} blocks)`,
+//       });
+//   }
+//
+// `fn` receives the node client (`Node`, `ExecutionNode` or `ColibriNode`; the beacon and the execution node for
+// pairings) and a context with the `results` of the checks run so far. It returns the result text or throws.
+
+export const CHECK_TYPES = ['beacon', 'execution', 'colibri', 'pairing'];
+
+const registry = [];
+
+/**
+ * Registers a check, which runs after the built-in checks of its node type.
+ * @param {{name: string, type: string, fn: Function, required?: boolean, depends_on?: string[]}} check
+ *        `depends_on` names checks which have to pass before, the check fails without running otherwise.
+ */
+export function register_check({ name, type, fn, required = false, depends_on = [] }) {
+    if (typeof name !== 'string' || !name) throw new Error('A check needs a name');
+    if (!CHECK_TYPES.includes(type)) throw new Error(`Check ${name}: unknown node type ${type}`);
+    if (typeof fn !== 'function') throw new Error(`Check ${name}: fn must be a function`);
+    if (!Array.isArray(depends_on)) throw new Error(`Check ${name}: depends_on must be a list of check names`);
+    if (name === 'colibri suitable' || registry.some(c => c.type === type && c.name === name)) {
+        throw new Error(`A ${type} check named ${name} is already registered`);
+    }
+    registry.push({ name, type, fn, required: !!required, depends_on, plugin: true });
+}
+
+// Removes all registered checks.
+export const clear_checks = () => registry.splice(0, registry.length);
+
+export const registered_checks = (type) => registry.filter(c => c.type === type);
+
+/**
+ * Loads plugin modules and lets their default export register checks.
+ * @param {string[]} specifiers urls, package names or (in node) paths of the modules
+ */
+export async function load_plugins(specifiers) {
+    const isBrowser = typeof window !== 'undefined';
+    for (const specifier of specifiers) {
+        let url = specifier;
+        if (!isBrowser && /^(\.{1,2}[\\/]|[\\/]|[A-Za-z]:\\)/.test(specifier)) {
+            const [{ pathToFileURL }, { resolve }] = await Promise.all([import('node:url'), import('node:path')]);
+            url = pathToFileURL(resolve(specifier)).href;
+        }
+        let plugin;
+        try {
+            plugin = await import(url);
+        } catch (error) {
+            throw new Error(`Could not load plugin ${specifier}: ${error.message}`);
+        }
+        if (typeof plugin.default === 'function') await plugin.default({ register_check });
+    }
+}
+
+// Adds the registered checks of a node type before the summary checks at the end.
+export function with_plugins(type, checks) {
+    const plugins = registered_checks(type);
+    if (!plugins.length) return checks;
+    const summary = checks.findIndex(c => c.name === 'avg_response_time' || c.name === 'colibri suitable');
+    const at = summary === -1 ? checks.length : summary;
+    return [...checks.slice(0, at), ...plugins, ...checks.slice(at)];
+}
+
+// Fails if one of the required checks before it failed.
+export const suitability_check = {
+    name: 'colibri suitable',
+    fn: (...args) => {
+        const { required_failed } = args[args.length - 1];
+        if (required_failed.length) throw new Error('required checks failed: ' + required_failed.join(', '));
+        return 'ok';
+    },
+    required: false,
+};
+
+/**
+ * Runs checks in order and reports each result to the callback.
+ * @param {Array<{name: string, fn: Function, required: boolean, depends_on?: string[]}>} checks
+ * @param {Array} nodes the arguments of the check functions, followed by the context
+ * @param {Function} [cb] called with `(result, checks, node)` after each check
+ * @returns {Promise<Array<{name: string, result: string, passed: boolean}>>}
+ */
+export async function run_checks(checks, nodes, cb) {
+    const results = [];
+    const context = { results: {}, required_failed: [] };
+    for (const check of checks) {
+        let result_obj;
+        try {
+            const dependency = (check.depends_on || []).find(name => !context.results[name]?.passed);
+            if (dependency) throw new Error(`depends on ${dependency}, which ${context.results[dependency] ? 'failed' : 'did not run'}`);
+            const result = await check.fn(...nodes, context);
+            result_obj = { name: check.name, result, passed: true };
+        } catch (error) {
+            if (check.required) context.required_failed.push(check.name);
+            result_obj = { name: check.name, result: error.message, passed: false };
+            // e.g. `rate_limit` for requests refused by a rate limit, see RateLimitError
+            if (error.category) result_obj.category = error.category;
+        }
+        context.results[check.name] = result_obj;
+        results.push(result_obj);
+        if (cb) cb(result_obj, checks, nodes[0]);
+    }
+    return results;
+}
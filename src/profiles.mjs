@@ -0,0 +1,97 @@
+// Suitability profiles: which checks run for a use case and which of them are required.
+// A profile lists per node type (beacon, execution, colibri, pairing) the checks to `run` (all if omitted)
+// and the `required` ones (the defaults of the check modules if omitted).
+// 'colibri suitable' always runs, it summarizes the required checks of the profile.
+// Checks registered by plugins keep their own required flag and are only affected by `only`/`skip`.
+// Checks flagged `opt_in` (the name of an option) only run if that option is set or they are named by `only` or `run`.
+import { CHECK_TYPES, registered_checks } from './plugins.mjs';
+
+export const DEFAULT_PROFILE = 'colibri-prover-backend';
+
+const LIGHT_CLIENT_CHECKS = [
+    'light_client_update as json', 'light_client_update as ssz',
+    'light_client_bootstrap as json', 'light_client_bootstrap as ssz',
+    'light_client_finality_update as json', 'light_client_finality_update as ssz',
+    'light_client_optimistic_update as json', 'light_client_optimistic_update as ssz',
+];
+
+// The names of the built-in checks per node type, the names `only` and `skip` may use besides those of plugins.
+export const CHECK_NAMES = {
+    beacon: [
+        'network', 'version', 'headers_by_parent', 'cors_headers', 'sse_events', 'block_as_ssz', ...LIGHT_CLIENT_CHECKS,
+        'sync_committee_chain', 'historical_proof', 'rate_limit', 'avg_response_time',
+    ],
+    execution: [
+        'network', 'web3_clientVersion', 'cors_headers', 'batch_requests', 'eth_subscribe (newHeads)', 'debug_traceCall',
+        'eth_createAccessList', 'eth_getProof', 'eth_getBlockReceipts', 'eth_getLogs', 'archive_depth', 'rate_limit', 'avg_response_time',
+    ],
+    colibri: [
+        'network', 'version', 'proof_eth_blockNumber (non-zk)', 'proof_eth_blockNumber (zk)', 'proof_eth_getBlockByHash',
+        'proof_eth_getBalance', 'proof_eth_getTransactionReceipt', 'proof_eth_getLogs', 'proof_eth_call', 'rate_limit', 'avg_response_time',
+    ],
+    pairing: ['chain_id', 'head_lag', 'recent_blocks_match', 'finalized_block_match'],
+};
+
+export const PROFILES = {
+    'colibri-prover-backend': {
+        description: 'Nodes a Colibri prover builds its proofs from (the defaults of the checks)',
+    },
+    'light-client-only': {
+        description: 'Beacon nodes serving the light client protocol, execution nodes serving the data a light client verifies',
+        beacon: {
+            run: ['network', 'version', ...LIGHT_CLIENT_CHECKS, 'sync_committee_chain', 'cors_headers', 'avg_response_time'],
+            required: ['network', 'light_client_update as json', 'light_client_bootstrap as json', 'light_client_finality_update as json', 'light_client_optimistic_update as json'],
+        },
+        execution: {
+            run: ['network', 'web3_clientVersion', 'cors_headers', 'eth_getProof', 'eth_getBlockReceipts', 'eth_getLogs', 'eth_createAccessList', 'avg_response_time'],
+            required: ['network', 'eth_getProof', 'eth_getBlockReceipts'],
+        },
+        colibri: {
+            required: ['network', 'version', 'proof_eth_blockNumber (non-zk)'],
+        },
+    },
+    'archive-indexer': {
+        description: 'Nodes an indexer backfills history from: deep state, logs, receipts, traces and batching',
+        beacon: {
+            run: ['network', 'version', 'headers_by_parent', 'block_as_ssz', 'sse_events', 'avg_response_time'],
+            required: ['network', 'version', 'headers_by_parent', 'block_as_ssz'],
+        },
+        execution: {
+            required: ['network', 'web3_clientVersion', 'batch_requests', 'debug_traceCall', 'eth_getBlockReceipts', 'eth_getLogs', 'archive_depth'],
+        },
+    },
+};
+
+/**
+ * Applies a profile and the `only`/`skip` selection to the checks of a node.
+ * @param {string} type the node type the checks belong to
+ * @param {Array<{name: string, fn: Function, required: boolean}>} checks the checks with their default required flags
+ * @param {{profile?: string, only?: string[], skip?: string[]}} options the options, also those enabling opt-in checks
+ * @returns {Array<{name: string, fn: Function, required: boolean}>} the checks to run, a failing 'colibri suitable' if
+ *     the selection leaves no other check
+ */
+export function select_checks(type, checks, options = {}) {
+    const name = options.profile || DEFAULT_PROFILE;
+    if (!Object.hasOwn(PROFILES, name)) throw new Error(`Unknown profile ${name}`);
+    const profile = PROFILES[name][type] || {};
+    const selected = checks
+        .filter(check => check.name === 'colibri suitable' || (
+            (!profile.run || check.plugin || profile.run.includes(check.name))
+            && (!check.opt_in || options[check.opt_in] || options.only?.includes(check.name) || profile.run?.includes(check.name))
+            && (!options.only?.length || options.only.includes(check.name))
+            && !options.skip?.includes(check.name)))
+        .map(check => profile.required && !check.plugin && check.name !== 'colibri suitable' ? { ...check, required: profile.required.includes(check.name) } : check);
+    // e.g. `--only eth_getProof` for a beacon node: it is not suitable just because none of its checks ran
+    if (selected.some(check => check.name !== 'colibri suitable')) return selected;
+    return selected.map(check => ({ ...check, fn: () => { throw new Error(`no checks selected for ${type} nodes`); } }));
+}
+
+/**
+ * The names which are no check of any node type, neither built-in nor registered by a plugin.
+ * @param {string[]} [names] the names given to `only` or `skip`
+ * @returns {string[]}
+ */
+export function unknown_checks(names = []) {
+    const known = new Set(['colibri suitable', ...CHECK_TYPES.flatMap(type => [...CHECK_NAMES[type], ...registered_checks(type).map(c => c.name)])]);
+    return names.filter(name => !known.has(name));
+}
@@ -1,3 +1,15 @@
+import { Transport, rate_limit_error } from './transport.mjs';
+import { decode_c4_request, verify_block_number_proof } from './colibri_proof.mjs';
+import { to_hex, bytes_equal } from './ssz.mjs';
+import {
+    BeaconBlockHeader, ForkConfig, SYNC_COMMITTEE_SIZE, fork_by_name, period_of_slot, verify_light_client_update, verify_sync_aggregate,
+} from './lightclient.mjs';
+import { ExecutionNode } from './execution.mjs';
+import { NETWORKS, network_of_chain_id, check_expected_network } from './networks.mjs';
+import { select_checks } from './profiles.mjs';
+import { run_checks, suitability_check, with_plugins } from './plugins.mjs';
+import { check_rate_limit } from './ratelimit.mjs';
+
 const isBrowser = typeof window !== 'undefined';
 
 function format_error_message(message) {
@@ -36,45 +48,38 @@ function format_error_message(message) {
     return message;
 }
 
-const MIN_ZK_PROOF_BYTES = 25_000;
-const PROOF_BYTES = 668;
 const MAX_ALLOWED_DELAY_SECONDS = 30;
 
-class ColibriNode {
-    constructor(url) {
-        this.url = url.endsWith('/') ? url.slice(0, -1) : url;
+export class ColibriNode {
+    constructor(url, options = {}) {
+        this.transport = new Transport(url, options);
+        this.url = this.transport.url;
         this.req_count = 0;
         this.req_time = 0;
+        // execution node to cross-check the proven blocks with, a different host which must not get the credentials
+        // of the prover, only credentials in its own url
+        const { timeout, retries, retry_delay } = options;
+        this.reference = options.reference_url ? new ExecutionNode(options.reference_url, { timeout, retries, retry_delay }) : null;
+        this.expected_network = options.network;
+        this.committees = new Map();
     }
 
     async request(path, options = {}) {
         const start = Date.now();
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 7000);
+        const response = await this.transport.fetch(this.url + path, options);
+        this.req_count += 1;
+        this.req_time += Date.now() - start;
 
-        try {
-            const response = await fetch(this.url + path, { ...options, signal: controller.signal });
-            clearTimeout(timeoutId);
-            this.req_count += 1;
-            this.req_time += Date.now() - start;
-
-            if (!response.ok) {
-                let txt;
-                try {
-                    txt = await response.text().then((r) => r.trim());
-                } catch {
-                    txt = `HTTP ${response.status}`;
-                }
-                throw new Error(`HTTP ${response.status}: ${format_error_message(txt)}`);
+        if (!response.ok) {
+            let txt;
+            try {
+                txt = await response.text().then((r) => r.trim());
+            } catch {
+                txt = `HTTP ${response.status}`;
             }
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out after 7 seconds');
-            }
-            throw error;
+            throw rate_limit_error(response, format_error_message(txt)) || new Error(`HTTP ${response.status}: ${format_error_message(txt)}`);
         }
+        return response;
     }
 
     async json(path) {
@@ -82,15 +87,15 @@ class ColibriNode {
         return response.json();
     }
 
-    async proof(zk_proof) {
+    async proof(method, params, zk_proof = false) {
         const response = await this.request('/proof', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                method: 'eth_blockNumber',
-                params: [],
+                method,
+                params,
                 zk_proof,
             }),
         });
@@ -108,37 +113,217 @@ class ColibriNode {
         return new Uint8Array(arrayBuffer);
     }
 
+    // The latest block as proven by the prover, the source of the parameters of the other proof requests.
+    recent_block() {
+        if (!this.block) {
+            this.block = this.proof('eth_getBlockByNumber', ['latest', false]).then((bytes) => {
+                const request = decode_c4_request(bytes);
+                if (request.data_type !== 'EthBlockData') {
+                    throw new Error(`Unexpected data ${request.data_type} in the proof of the latest block`);
+                }
+                return request.data.value;
+            });
+        }
+        return this.block;
+    }
+
+    // The network of the reference node, null without one.
+    reference_network() {
+        if (!this.reference) return Promise.resolve(null);
+        if (!this.reference_network_promise) {
+            this.reference_network_promise = this.reference.rpc('eth_chainId').then(network_of_chain_id);
+            this.reference_network_promise.catch(() => this.reference_network_promise = null);
+        }
+        return this.reference_network_promise;
+    }
+
+    // The fork schedules the signatures are verified with: the one of the expected or the reference network,
+    // every known network if neither is known or `any_network` is set.
+    async fork_configs({ any_network = false } = {}) {
+        const network = any_network ? null : this.expected_network || await this.reference_network();
+        const names = network ? [network].filter(name => NETWORKS[name]) : Object.keys(NETWORKS);
+        if (!names.length) throw new Error(`No network parameters for ${network} to verify the sync committee signature`);
+        return names.map(name => ({ network: name, config: new ForkConfig(NETWORKS[name].spec, NETWORKS[name].genesis_validators_root) }));
+    }
+
+    // The sync committee of a period, the next_sync_committee of the light client update of the period before,
+    // taken from the updates the prover serves its clients and verified against the update's attested state.
+    sync_committee(period, config) {
+        const key = `${period}/${config.slots_per_period}`;
+        if (!this.committees.has(key)) {
+            const committee = this.json(`/eth/v1/beacon/light_client/updates?start_period=${period - 1}&count=1`).then(async (responses) => {
+                const response = Array.isArray(responses) ? responses[0] : null;
+                if (!response?.data) throw new Error(`Prover serves no light client update for period ${period - 1}`);
+                const fork = fork_by_name(response.version);
+                const update = fork.types.LightClientUpdate.from_json(response.data);
+                const attested_period = period_of_slot(update.attested_header.beacon.slot, config.slots_per_period);
+                if (attested_period !== period - 1) throw new Error(`Prover returned the light client update of period ${attested_period} instead of ${period - 1}`);
+                await verify_light_client_update(update, fork);
+                return update.next_sync_committee;
+            });
+            committee.catch(() => this.committees.delete(key));
+            this.committees.set(key, committee);
+        }
+        return this.committees.get(key);
+    }
+
     get avg_time() {
         return (this.req_count ? this.req_time / this.req_count : 0).toFixed(2) + ' ms';
     }
 }
 
-function read_uint64_le(bytes, offset) {
-    if (bytes.byteLength < offset + 8) {
-        throw new Error('Proof payload too short to read uint64 value');
+// Verifies the sync aggregate of a signed header with the committee of its period and returns the network it is valid on.
+async function verify_signature(node, signed, options) {
+    const errors = [];
+    const configs = await node.fork_configs(options);
+    for (const { network, config } of configs) {
+        try {
+            const committee = await node.sync_committee(period_of_slot(signed.signature_slot, config.slots_per_period), config);
+            await verify_sync_aggregate(signed, committee, config);
+            return network;
+        } catch (error) {
+            errors.push(configs.length === 1 ? error.message : `${network}: ${error.message}`);
+        }
     }
-    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-    return Number(view.getBigUint64(offset, true));
+    throw new Error(configs.length === 1 ? errors[0] : `Sync aggregate of slot ${signed.attested_header.beacon.slot} is valid on no known network (${errors.join(', ')})`);
 }
 
-function validate_proof(bytes, { expect_exact_size, min_size }) {
-    if (expect_exact_size && bytes.byteLength !== expect_exact_size) {
-        throw new Error(`Proof size mismatch, expected ${expect_exact_size} bytes, got ${bytes.byteLength}`);
+// Decodes a proof of eth_blockNumber, verifies its Merkle branches up to the signed header and the signature of the
+// sync committee, and checks that the proven block is recent.
+async function validate_proof(node, bytes, { zk }) {
+    const request = decode_c4_request(bytes);
+    if (request.proof_type !== 'BlockNumberProof') {
+        throw new Error(`Unexpected proof type ${request.proof_type}, expected BlockNumberProof`);
     }
-    if (min_size && bytes.byteLength < min_size) {
-        throw new Error(`Proof size too small, expected at least ${min_size} bytes, got ${bytes.byteLength}`);
+    if (zk && request.sync_type !== 'ZKSyncData') {
+        throw new Error(`Expected zk sync data, got ${request.sync_type}`);
+    }
+    if (!zk && request.sync_type === 'ZKSyncData') {
+        throw new Error('Received zk sync data for a non-zk proof');
     }
 
-    const blockNumber = read_uint64_le(bytes, 18);
-    const timestamp = read_uint64_le(bytes, 26);
+    const { block_number, timestamp, slot, participants, header_proof, signed } = await verify_block_number_proof(request.proof.value);
+    const network = await verify_signature(node, signed);
     const nowSeconds = Math.floor(Date.now() / 1000);
     const delta = nowSeconds - timestamp;
 
     if (delta > MAX_ALLOWED_DELAY_SECONDS) {
-        throw new Error(`Proof timestamp too old (block ${blockNumber}, Δ ${delta}s)`);
+        throw new Error(`Proof timestamp too old (block ${block_number}, Δ ${delta}s)`);
     }
 
-    return { blockNumber, delta };
+    return { blockNumber: block_number, timestamp, delta, slot, participants, header_proof, network, header: request.proof.value.header, sync_type: request.sync_type };
+}
+
+// Compares a proven block with the block of the reference node at the same height: the timestamp has to match, and
+// the parent beacon block root of the block has to be the parent root of the proven beacon header. Once the reference
+// node knows the next block, the root of the proven header has to be its parent beacon block root as well.
+async function cross_check_reference(node, { blockNumber, timestamp, header }) {
+    const reference = node.reference;
+    const [block, next, latest] = await Promise.all([
+        reference.rpc('eth_getBlockByNumber', ['0x' + blockNumber.toString(16), false]),
+        reference.rpc('eth_getBlockByNumber', ['0x' + (blockNumber + 1).toString(16), false]),
+        reference.rpc('eth_getBlockByNumber', ['latest', false]),
+    ]);
+    const lag = Number(latest.timestamp) - timestamp;
+    if (lag > MAX_ALLOWED_DELAY_SECONDS) {
+        throw new Error(`Proof lags ${lag}s behind the reference node (block ${blockNumber}, reference at ${Number(latest.number)})`);
+    }
+    if (!block) throw new Error(`Reference node does not know block ${blockNumber} yet (reference at ${Number(latest.number)})`);
+    if (Number(block.timestamp) !== timestamp) {
+        throw new Error(`Proven block ${blockNumber} diverges from the reference node: timestamp ${timestamp} !== ${Number(block.timestamp)}`);
+    }
+    if (!block.parentBeaconBlockRoot) throw new Error(`Reference node returns no parentBeaconBlockRoot for block ${blockNumber}`);
+    const parent_root = to_hex(header.parent_root);
+    if (parent_root !== block.parentBeaconBlockRoot.toLowerCase()) {
+        throw new Error(`Proven block ${blockNumber} diverges from the reference node: parent beacon block root ${parent_root} !== ${block.parentBeaconBlockRoot}`);
+    }
+    if (!next?.parentBeaconBlockRoot) return 'matches reference';
+
+    const root = to_hex(await BeaconBlockHeader.hash_tree_root(header));
+    if (root !== next.parentBeaconBlockRoot.toLowerCase()) {
+        throw new Error(`Proven block ${blockNumber} diverges from the reference node: beacon block root ${root} !== ${next.parentBeaconBlockRoot}`);
+    }
+    return 'matches reference';
+}
+
+const quantity = (value) => '0x' + value.toString(16);
+
+// EIP-4788 contract returning the parent beacon block root for a timestamp
+const BEACON_ROOTS_ADDRESS = '0x000F3df6D732807Ef1319fB7B8bB8522d0Beac02';
+
+// Methods the prover is asked to prove, with the proof type it has to return, the parameters derived from
+// the latest block and a check of the proven result.
+export const PROVER_METHODS = {
+    eth_getBlockByHash: {
+        proof_type: 'BlockProof',
+        params: (block) => [to_hex(block.hash), false],
+        verify(data, block) {
+            if (!data.value?.hash || !bytes_equal(data.value.hash, block.hash)) throw new Error(`Proven block does not match ${to_hex(block.hash)}`);
+        },
+    },
+    eth_getBalance: {
+        proof_type: 'AccountProof',
+        params: (block) => [to_hex(block.miner), quantity(block.number)],
+    },
+    eth_getTransactionReceipt: {
+        proof_type: 'ReceiptProof',
+        params(block) {
+            const hashes = block.transactions.value;
+            if (!hashes.length) throw new Error(`Block ${block.number} has no transactions`);
+            return [to_hex(hashes[0])];
+        },
+        verify(data, block) {
+            const hash = block.transactions.value[0];
+            if (!data.value?.transaction_hash || !bytes_equal(data.value.transaction_hash, hash)) throw new Error(`Proven receipt does not belong to ${to_hex(hash)}`);
+        },
+    },
+    eth_getLogs: {
+        proof_type: 'LogsProof',
+        params: (block) => [{ fromBlock: quantity(block.number), toBlock: quantity(block.number) }],
+        verify(data, block) {
+            const foreign = (data.value || []).find(log => log.block_number !== block.number);
+            if (foreign) throw new Error(`Proven logs contain a log of block ${foreign.block_number}`);
+        },
+    },
+    eth_call: {
+        proof_type: 'CallProof',
+        params: (block) => [{ to: BEACON_ROOTS_ADDRESS, data: '0x' + block.timestamp.toString(16).padStart(64, '0') }, quantity(block.number)],
+        verify(data, block) {
+            if (!(data.value instanceof Uint8Array) || !bytes_equal(data.value, block.parent_beacon_block_root)) {
+                throw new Error(`Proven call result does not match the parent beacon block root ${to_hex(block.parent_beacon_block_root)}`);
+            }
+        },
+    },
+};
+
+// Requests a proof for a method with parameters taken from the latest block and checks its type and result.
+async function check_method_proof(node, method) {
+    const { proof_type, params, verify } = PROVER_METHODS[method];
+    let block;
+    try {
+        block = await node.recent_block();
+    } catch (error) {
+        throw new Error(`Could not load the latest block from the prover: ${error.message}`);
+    }
+
+    const start = Date.now();
+    const bytes = await node.proof(method, params(block));
+    const latency = Date.now() - start;
+    const request = decode_c4_request(bytes);
+    if (request.proof_type !== proof_type) {
+        throw new Error(`Unexpected proof type ${request.proof_type}, expected ${proof_type}`);
+    }
+    if (verify) verify(request.data, block);
+    return `ok (${proof_type}, size ${bytes.byteLength} bytes, ${latency} ms)`;
+}
+
+// Provers don't expose their chain, so the network is taken from the reference node the proofs are compared with,
+// without one it is the network the sync committee signature of a proof is valid on.
+async function check_network(node) {
+    if (node.reference) return check_expected_network(await node.reference_network(), node.expected_network);
+    const request = decode_c4_request(await node.proof('eth_blockNumber', [], false));
+    const { signed } = await verify_block_number_proof(request.proof.value);
+    return check_expected_network(await verify_signature(node, signed, { any_network: true }), node.expected_network);
 }
 
 async function check_version(node) {
@@ -150,50 +335,35 @@ async function check_version(node) {
 }
 
 async function check_proof_non_zk(node) {
-    const proof = await node.proof(false);
-    const { blockNumber, delta } = validate_proof(proof, { expect_exact_size: PROOF_BYTES });
-    return `ok (block ${blockNumber}, Δ ${delta}s)`;
+    const proof = await node.proof('eth_blockNumber', [], false);
+    const proven = await validate_proof(node, proof, { zk: false });
+    const { blockNumber, delta, slot, participants, header_proof } = proven;
+    const reference = node.reference ? `, ${await cross_check_reference(node, proven)}` : '';
+    return `ok (block ${blockNumber}, Δ ${delta}s, slot ${slot}, ${header_proof} with ${participants}/${SYNC_COMMITTEE_SIZE} signers${reference})`;
 }
 
 async function check_proof_zk(node) {
-    const proof = await node.proof(true);
-    const { blockNumber, delta } = validate_proof(proof, { min_size: MIN_ZK_PROOF_BYTES });
-    return `ok (block ${blockNumber}, Δ ${delta}s, size ${proof.byteLength} bytes)`;
+    const proof = await node.proof('eth_blockNumber', [], true);
+    const proven = await validate_proof(node, proof, { zk: true });
+    const { blockNumber, delta, slot } = proven;
+    const reference = node.reference ? `, ${await cross_check_reference(node, proven)}` : '';
+    return `ok (block ${blockNumber}, Δ ${delta}s, slot ${slot}, size ${proof.byteLength} bytes${reference})`;
 }
 
-export async function check_colibri_node(url, cb) {
-    const node = new ColibriNode(url);
-    const results = [];
-    const checks = [
+export async function check_colibri_node(url, cb, options = {}) {
+    const node = new ColibriNode(url, options);
+    const methods = (options.prover_methods || Object.keys(PROVER_METHODS)).filter(method => Object.hasOwn(PROVER_METHODS, method));
+    const checks = select_checks('colibri', with_plugins('colibri', [
+        { name: 'network', fn: check_network, required: true },
         { name: 'version', fn: check_version, required: true },
         { name: 'proof_eth_blockNumber (non-zk)', fn: check_proof_non_zk, required: true },
         { name: 'proof_eth_blockNumber (zk)', fn: check_proof_zk, required: true },
+        ...methods.map(method => ({ name: `proof_${method}`, fn: () => check_method_proof(node, method), required: false })),
+        { name: 'rate_limit', fn: (node) => check_rate_limit(node, 'colibri'), required: false, opt_in: 'rate_limit' },
         { name: 'avg_response_time', fn: () => node.avg_time, required: false },
-        {
-            name: 'colibri suitable',
-            fn: () => {
-                if (required_checks_failed.length) {
-                    throw new Error('required checks failed: ' + required_checks_failed.join(', '));
-                }
-                return 'ok';
-            },
-            required: false,
-        },
-    ];
+        suitability_check,
+    ]), options);
 
-    const required_checks_failed = [];
-    for (const check of checks) {
-        let result_obj;
-        try {
-            const result = await check.fn(node);
-            result_obj = { name: check.name, result, passed: true };
-        } catch (error) {
-            if (check.required) required_checks_failed.push(check.name);
-            result_obj = { name: check.name, result: error.message, passed: false };
-        }
-        results.push(result_obj);
-        if (cb) cb(result_obj, checks);
-    }
-    return results;
+    return run_checks(checks, [node], cb);
 }
 
@@ -0,0 +1,99 @@
+// Rate limit detection: ramps up the request rate against a node until it refuses requests with 429/503 responses
+// or JSON-RPC limit errors, and reports the rate it sustained and the rate limit headers it sent.
+import { rate_limit_error, rate_limit_headers } from './transport.mjs';
+
+// The request rates of the ramp in requests per second, each held for RAMP_STEP_SECONDS.
+const RAMP_RATES = [5, 10, 20, 40];
+const RAMP_STEP_SECONDS = 2;
+// Share of failed requests (other than rate limits) at which the ramp stops.
+const MAX_ERROR_SHARE = 0.1;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A cheap request per node type, sent without retries so that rate limits are not hidden.
+const RATE_LIMIT_PROBES = {
+    beacon: (node) => [node.url + '/eth/v1/beacon/headers/head', { method: 'GET' }],
+    execution: (node) => [node.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 }),
+    }],
+    colibri: (node) => [node.url + '/version', { method: 'GET' }],
+};
+
+async function probe(node, [resource, options], headers) {
+    let response, text;
+    try {
+        response = await node.transport.fetch(resource, { ...options, retries: 0 });
+        text = await response.text();
+    } catch (error) {
+        return { error: error.message };
+    }
+    Object.assign(headers, rate_limit_headers(response));
+    let rpc_error = null;
+    try {
+        rpc_error = response.ok ? JSON.parse(text).error || null : null;
+    } catch {
+        // not JSON
+    }
+    const detail = rpc_error ? JSON.stringify(rpc_error) : text.trim().slice(0, 200);
+    const limited = rate_limit_error(response, detail, rpc_error);
+    if (limited) return { limited };
+    if (!response.ok || rpc_error) return { error: `HTTP ${response.status}: ${detail}` };
+    return {};
+}
+
+// Sends requests at a fixed rate for one step of the ramp, without waiting for the responses in between.
+async function ramp_step(node, request, rate, headers) {
+    const start = Date.now();
+    const pending = [];
+    for (let i = 0; i < rate * RAMP_STEP_SECONDS; i++) {
+        const delay = start + i * 1000 / rate - Date.now();
+        if (delay > 0) await sleep(delay);
+        pending.push(probe(node, request, headers));
+    }
+    const outcomes = await Promise.all(pending);
+    const ok = outcomes.filter(o => !o.limited && !o.error).length;
+    return {
+        rate,
+        outcomes,
+        limited: outcomes.filter(o => o.limited),
+        errors: outcomes.filter(o => o.error),
+        achieved: ok / Math.max((Date.now() - start) / 1000, RAMP_STEP_SECONDS),
+    };
+}
+
+/**
+ * Ramps the request rate against a node of a type and reports where it is limited.
+ * Fails if the node limits or fails the requests already at the lowest rate.
+ * @param {object} node a `Node`, `ExecutionNode` or `ColibriNode`
+ * @param {string} type the node type: beacon, execution or colibri
+ */
+export async function check_rate_limit(node, type) {
+    const request = RATE_LIMIT_PROBES[type](node);
+    const headers = {};
+    const describe_headers = () => Object.keys(headers).length
+        ? `, headers ${Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join(', ')}`
+        : '';
+
+    let sustained = null;
+    for (const rate of RAMP_RATES) {
+        const step = await ramp_step(node, request, rate, headers);
+        let stop = null;
+        if (step.limited.length) {
+            stop = `limited at ${rate} req/s (${step.limited.length}/${step.outcomes.length} requests, ${step.limited[0].limited.message})`;
+        } else if (step.errors.length > MAX_ERROR_SHARE * step.outcomes.length) {
+            stop = `failing at ${rate} req/s (${step.errors.length}/${step.outcomes.length} requests, ${step.errors[0].error})`;
+        }
+        if (stop) {
+            if (!sustained) {
+                const error = new Error(stop + describe_headers());
+                if (step.limited.length) error.category = 'rate_limit';
+                throw error;
+            }
+            return `${stop}, sustainable ${sustained.achieved.toFixed(1)} req/s${describe_headers()}`;
+        }
+        sustained = step;
+    }
+    return `ok (no rate limit up to ${sustained.rate} req/s, sustained ${sustained.achieved.toFixed(1)} req/s${describe_headers()})`;
+}
@@ -0,0 +1,131 @@
+// Renders check results of one or more nodes in machine-readable formats.
+// A report is a list of node entries: { url, label, type, results: [{ name, result, passed, required, category? }] }
+// or { url, label, error, category? } when the node could not be checked, `category` is 'detection' if its type could not
+// be detected (see DetectionError). The label names the node of an inventory.
+
+export const FORMATS = ['text', 'json', 'ndjson', 'junit', 'markdown'];
+
+export const EXIT_CODES = {
+    all_suitable: 0,
+    some_unsuitable: 1,
+    detection_failed: 2,
+    usage: 3,
+};
+
+export function is_suitable(entry) {
+    if (!entry || entry.error || !Array.isArray(entry.results)) return false;
+    const suitability_check = entry.results.find(r => r.name === 'colibri suitable');
+    return !!(suitability_check && suitability_check.passed);
+}
+
+export const is_detection_failure = (entry) => !!entry?.error && entry.category === 'detection';
+
+// Failures to check a node of a known type, like a pairing of two beacon nodes, make it unsuitable.
+export function exit_code(report) {
+    if (report.some(is_detection_failure)) return EXIT_CODES.detection_failed;
+    if (report.some(entry => !is_suitable(entry))) return EXIT_CODES.some_unsuitable;
+    return EXIT_CODES.all_suitable;
+}
+
+const escape_xml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+export const escape_markdown = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const name_of = (entry) => entry.label || entry.url;
+
+const is_hard_failure = (check) => !check.passed && (check.required || check.name === 'colibri suitable');
+
+export function to_json(report) {
+    return JSON.stringify({
+        suitable: report.length > 0 && report.every(is_suitable),
+        nodes: report.map(entry => entry.error
+            ? { url: entry.url, label: entry.label, error: entry.error, category: entry.category }
+            : { url: entry.url, label: entry.label, type: entry.type, network: entry.network, suitable: is_suitable(entry), results: entry.results }),
+    }, null, 2);
+}
+
+// One line per check result, so consumers can process them while the run is still going.
+export function to_ndjson_line(entry, check) {
+    if (!check) return JSON.stringify({ url: entry.url, label: entry.label, error: entry.error, category: entry.category });
+    return JSON.stringify({ url: entry.url, label: entry.label, type: entry.type, ...check });
+}
+
+export function to_ndjson(report) {
+    return report
+        .flatMap(entry => entry.error ? [to_ndjson_line(entry)] : entry.results.map(check => to_ndjson_line(entry, check)))
+        .join('\n');
+}
+
+export function to_junit(report) {
+    const suites = report.map(entry => {
+        if (entry.error) {
+            return `  <testsuite name="${escape_xml(name_of(entry))}" tests="1" failures="0" errors="1" skipped="0">\n`
+                + `    <testcase classname="${escape_xml(name_of(entry))}" name="detect_node_type">\n`
+                + `      <error message="${escape_xml(entry.error)}"/>\n`
+                + `    </testcase>\n`
+                + `  </testsuite>`;
+        }
+        const failures = entry.results.filter(is_hard_failure).length;
+        const skipped = entry.results.filter(check => !check.passed && !is_hard_failure(check)).length;
+        const classname = escape_xml(`${entry.type}.${name_of(entry)}`);
+        const cases = entry.results.map(check => {
+            const name = escape_xml(check.name);
+            if (check.passed) {
+                return `    <testcase classname="${classname}" name="${name}">\n`
+                    + `      <system-out>${escape_xml(check.result)}</system-out>\n`
+                    + `    </testcase>`;
+            }
+            const tag = is_hard_failure(check) ? 'failure' : 'skipped';
+            const type = check.category ? ` type="${escape_xml(check.category)}"` : '';
+            return `    <testcase classname="${classname}" name="${name}">\n`
+                + `      <${tag}${type} message="${escape_xml(check.result)}"/>\n`
+                + `    </testcase>`;
+        }).join('\n');
+        return `  <testsuite name="${escape_xml(name_of(entry))}" tests="${entry.results.length}" failures="${failures}" errors="0" skipped="${skipped}">\n`
+            + cases + '\n'
+            + `  </testsuite>`;
+    });
+    const tests = report.reduce((sum, entry) => sum + (entry.error ? 1 : entry.results.length), 0);
+    const failures = report.reduce((sum, entry) => sum + (entry.error ? 0 : entry.results.filter(is_hard_failure).length), 0);
+    const errors = report.filter(entry => entry.error).length;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<testsuites name="node_check" tests="${tests}" failures="${failures}" errors="${errors}">\n`
+        + suites.join('\n') + (suites.length ? '\n' : '')
+        + '</testsuites>';
+}
+
+export function to_markdown(report) {
+    const lines = ['# Node check report', ''];
+    for (const entry of report) {
+        if (entry.error) {
+            lines.push(`## ${name_of(entry)}`, '', `❌ Failed to check node: ${escape_markdown(entry.error)}`, '');
+            continue;
+        }
+        lines.push(`## ${entry.type} node ${name_of(entry)}`, '', '| Check | Status | Result |', '| --- | --- | --- |');
+        for (const check of entry.results) {
+            const symbol = check.passed ? '✅' : (is_hard_failure(check) ? '❌' : '⚠️');
+            lines.push(`| ${escape_markdown(check.name)} | ${symbol} | ${escape_markdown(check.result)} |`);
+        }
+        lines.push('');
+    }
+    lines.push('## Summary', '', 'Suitable nodes that passed all required checks:', '');
+    const suitable = report.filter(is_suitable);
+    if (suitable.length) suitable.forEach(entry => lines.push(`- [${entry.type}] ${name_of(entry)}`));
+    else lines.push('None of the provided nodes are suitable.');
+    return lines.join('\n');
+}
+
+export function render_report(format, report) {
+    switch (format) {
+        case 'json': return to_json(report);
+        case 'ndjson': return to_ndjson(report);
+        case 'junit': return to_junit(report);
+        case 'markdown': return to_markdown(report);
+        default: throw new Error(`Unsupported format: ${format}`);
+    }
+}
@@ -3,8 +3,16 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { check_beacon_node } from './beacon.mjs';
 import { check_execution_node } from './execution.mjs';
-import { check_colibri_node } from './prover.mjs';
+import { check_colibri_node, PROVER_METHODS } from './prover.mjs';
+import { check_pairing } from './pairing.mjs';
 import { detectNodeType } from './detectNodeType.mjs';
+import { NETWORKS } from './networks.mjs';
+import { load_inventory, select_by_tags, check_expected_type } from './inventory.mjs';
+import { PROFILES, DEFAULT_PROFILE, unknown_checks } from './profiles.mjs';
+import { load_plugins } from './plugins.mjs';
+import { benchmark_node, parse_mix } from './benchmark.mjs';
+import { public_url, redact_urls } from './transport.mjs';
+import { Monitor, mount_monitor, DEFAULT_INTERVAL_SECONDS, DEFAULT_HISTORY_SIZE } from './monitor.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,26 +31,101 @@ const CHECK_MAP = {
     colibri: check_colibri_node,
 };
 
+// Only forwards the known transport options of a request and caps timeouts and retries,
+// so a single request can not keep the server busy indefinitely. Unknown check names are rejected.
+const MAX_TIMEOUT = 60000;
+const MAX_RETRIES = 5;
+const transport_options = (options) => with_known_checks({
+    headers: options && typeof options.headers === 'object' ? options.headers : undefined,
+    basic_auth: options?.basic_auth,
+    bearer_token: options?.bearer_token,
+    timeout: options?.timeout ? Math.min(Number(options.timeout), MAX_TIMEOUT) : undefined,
+    retries: options?.retries ? Math.min(Number(options.retries), MAX_RETRIES) : undefined,
+    retry_delay: options?.retry_delay ? Math.min(Number(options.retry_delay), MAX_TIMEOUT) : undefined,
+    ws_url: /^wss?:\/\//i.test(options?.ws_url || '') ? options.ws_url : undefined,
+    network: Object.hasOwn(NETWORKS, options?.network || '') ? options.network : undefined,
+    reference_url: /^https?:\/\//i.test(options?.reference_url || '') ? options.reference_url : undefined,
+    prover_methods: Array.isArray(options?.prover_methods) ? options.prover_methods.filter(m => Object.hasOwn(PROVER_METHODS, m)) : undefined,
+    profile: Object.hasOwn(PROFILES, options?.profile || '') ? options.profile : undefined,
+    only: Array.isArray(options?.only) ? options.only.map(String) : undefined,
+    skip: Array.isArray(options?.skip) ? options.skip.map(String) : undefined,
+    rate_limit: options?.rate_limit === true || undefined,
+    state_window: options?.state_window === true || undefined,
+});
+
+function with_known_checks(options) {
+    const unknown = unknown_checks([...(options.only || []), ...(options.skip || [])]);
+    if (unknown.length) throw new Error(`Unknown check ${unknown.join(', ')}`);
+    return options;
+}
+
+const as_list = (value) => Array.isArray(value) ? value.map(String) : String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+// Optional plugins (NODE_CHECK_PLUGINS, comma separated paths or packages) registering additional checks.
+if (process.env.NODE_CHECK_PLUGINS) await load_plugins(as_list(process.env.NODE_CHECK_PLUGINS));
+
+// Optional node inventory (NODE_CHECK_CONFIG): its nodes are checked by label or tag, so their urls and
+// credentials stay on the server and are not included in the responses.
+const inventory = process.env.NODE_CHECK_CONFIG ? await load_inventory(process.env.NODE_CHECK_CONFIG) : [];
+for (const node of inventory) {
+    try {
+        with_known_checks(node.options);
+    } catch (error) {
+        throw new Error(`${process.env.NODE_CHECK_CONFIG}: node ${node.label}: ${error.message}`);
+    }
+}
+
+// The nodes of a request: the `urls` with the options of the request, or the inventory nodes
+// selected by `labels` or `tags` (`inventory: true` selects all of them) with their own options.
+function request_targets(body) {
+    if (body.labels || body.tags || body.inventory) {
+        if (!inventory.length) throw new Error('No inventory configured');
+        if (!body.labels) return select_by_tags(inventory, body.tags ? as_list(body.tags) : []);
+        return as_list(body.labels).map(label => {
+            const node = inventory.find(n => n.label === label);
+            if (!node) throw new Error(`Unknown node ${label}`);
+            return node;
+        });
+    }
+    if (!body.urls) throw new Error('Missing urls');
+    const options = transport_options(body.options);
+    return body.urls.replace(/,/g, ' ').split(/\s+/).filter(u => u).map(url => ({ url, label: public_url(url), public_url: public_url(url), options }));
+}
+
+// Detects the type of a node and fails if it differs from the type given in the inventory.
+async function detect_target(target) {
+    const { type, url, network } = await detectNodeType(target.url, target.options);
+    check_expected_type(target, type);
+    const check_function = CHECK_MAP[type];
+    if (!check_function) {
+        throw new Error(`Unsupported node type detected: ${type}`);
+    }
+    return { type, url, network, check_function };
+}
+
+app.get('/profiles', (req, res) => {
+    res.json({ default: DEFAULT_PROFILE, profiles: PROFILES });
+});
+
+app.get('/inventory', (req, res) => {
+    res.json(inventory.map(({ label, type, tags, options }) => ({ label, type, network: options.network, tags })));
+});
+
 app.post('/check', async (req, res) => {
-    const { urls } = req.body;
-    if (!urls) {
-        return res.status(400).json({ error: 'Missing urls' });
+    let targets;
+    try {
+        targets = request_targets(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
     }
 
     const all_results = [];
 
     try {
-        for (const url of urls.replace(/,/g, ' ').split(/\s+/).filter(u => u)) {
-            const trimmedUrl = url.trim();
-            if (!trimmedUrl) continue;
-
-            const { type, url: normalizedUrl } = await detectNodeType(trimmedUrl);
-            const check_function = CHECK_MAP[type];
-            if (!check_function) {
-                throw new Error(`Unsupported node type detected: ${type}`);
-            }
-            const results = await check_function(normalizedUrl);
-            all_results.push({ url: trimmedUrl, type, results });
+        for (const target of targets) {
+            const { type, url, check_function } = await detect_target(target);
+            const results = await check_function(url, null, target.options);
+            all_results.push({ url: target.public_url, label: target.label, type, results });
         }
         res.json(all_results);
     } catch (error) {
@@ -50,6 +133,130 @@ app.post('/check', async (req, res) => {
     }
 });
 
+// Benchmarks the nodes one after the other. Only enabled with NODE_CHECK_BENCHMARK=1 and only for inventory nodes,
+// so the server can not be used to load arbitrary urls. The concurrency and duration of a request are capped,
+// since the server runs the benchmark with its own bandwidth.
+const MAX_BENCHMARK_CONCURRENCY = 32;
+const MAX_BENCHMARK_DURATION = 60;
+app.post('/benchmark', async (req, res) => {
+    if (process.env.NODE_CHECK_BENCHMARK !== '1') return res.status(404).json({ error: 'Benchmarks are disabled' });
+    let targets, settings;
+    try {
+        if (req.body.urls) throw new Error('Only inventory nodes can be benchmarked, select them by labels or tags');
+        targets = request_targets(req.body);
+        const options = req.body.options || {};
+        settings = {
+            concurrency: options.concurrency ? Math.min(Number(options.concurrency), MAX_BENCHMARK_CONCURRENCY) : undefined,
+            duration: options.duration ? Math.min(Number(options.duration), MAX_BENCHMARK_DURATION) : undefined,
+            mix: options.mix ? parse_mix(Array.isArray(options.mix) ? options.mix.join(',') : options.mix) : undefined,
+        };
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const report = [];
+    for (const target of targets) {
+        try {
+            const { type, url, network } = await detect_target(target);
+            const benchmark = await benchmark_node(url, type, { ...target.options, network: target.options.network || network, ...settings });
+            report.push({ url: target.public_url, label: target.label, type, network, benchmark });
+        } catch (error) {
+            report.push({ url: target.public_url, label: target.label, error: error.message });
+        }
+    }
+    res.json(report);
+});
+
+// Streams the progress of the checks as newline-delimited JSON, one event per line:
+// { event: 'node', url, label, type }, { event: 'check', url, label, type, check, required, checks },
+// { event: 'error', url, label, error } and finally { event: 'done' }. Inventory nodes have no url.
+app.post('/check/stream', async (req, res) => {
+    let targets;
+    try {
+        targets = request_targets(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const send = (event) => {
+        if (!closed) res.write(JSON.stringify(event) + '\n');
+    };
+
+    for (const target of targets) {
+        if (closed) break;
+        const { public_url: url, label } = target;
+
+        try {
+            const { type, url: normalizedUrl, check_function } = await detect_target(target);
+            send({ event: 'node', url, label, type });
+            await check_function(normalizedUrl, (check, checks) => {
+                const check_definition = checks.find(c => c.name === check.name);
+                send({
+                    event: 'check',
+                    url,
+                    label,
+                    type,
+                    check,
+                    required: check_definition ? check_definition.required : false,
+                    checks: checks.map(c => ({ name: c.name, required: c.required })),
+                });
+            }, target.options);
+        } catch (error) {
+            send({ event: 'error', url, label, error: error.message });
+        }
+    }
+    send({ event: 'done' });
+    res.end();
+});
+
+// Checks that a beacon node and an execution node follow the same chain.
+app.post('/pair', async (req, res) => {
+    const { beacon, execution } = req.body;
+    if (!beacon || !execution) {
+        return res.status(400).json({ error: 'Missing beacon or execution url' });
+    }
+    let options;
+    try {
+        options = transport_options(req.body.options);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const results = await check_pairing(beacon.trim(), execution.trim(), null, options);
+        res.json({
+            url: `${public_url(beacon)} + ${public_url(execution)}`,
+            type: 'pairing',
+            results: results.map(result => result.passed ? result : { ...result, result: redact_urls(result.result) }),
+        });
+    } catch (error) {
+        res.status(500).json({ error: redact_urls(error.message) });
+    }
+});
+
+// Optional monitoring mode: MONITOR_URLS lists the nodes to re-check every MONITOR_INTERVAL seconds,
+// MONITOR_INVENTORY adds the nodes of the inventory (`all` or a comma separated list of tags).
+const monitored_nodes = [
+    ...(process.env.MONITOR_URLS || '').replace(/,/g, ' ').split(/\s+/).filter(u => u),
+    ...(!process.env.MONITOR_INVENTORY ? [] : select_by_tags(inventory, process.env.MONITOR_INVENTORY === 'all' ? [] : as_list(process.env.MONITOR_INVENTORY))),
+];
+if (monitored_nodes.length) {
+    const monitor = new Monitor(monitored_nodes, {
+        interval: Number(process.env.MONITOR_INTERVAL) || DEFAULT_INTERVAL_SECONDS,
+        history_size: Number(process.env.MONITOR_HISTORY) || DEFAULT_HISTORY_SIZE,
+    });
+    mount_monitor(app, monitor);
+    monitor.start();
+}
+
 app.listen(port, () => {
     console.log(`Server listening at http://localhost:${port}`);
 });
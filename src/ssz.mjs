@@ -0,0 +1,511 @@
+// Isomorphic SSZ decoding and merkleization (https://github.com/ethereum/consensus-specs/blob/dev/ssz/simple-serialize.md).
+// Types are plain objects with a `fixed_size` (null for variable size types), `decode(bytes)`,
+// `from_json(json)`, `to_json(value)`, `serialize(value)` and an async `hash_tree_root(value)`.
+// uint64 and larger values are represented as BigInt, byte vectors and bitfields as Uint8Array.
+const isBrowser = typeof window !== 'undefined';
+
+let crypto;
+
+if (isBrowser) {
+    crypto = window.crypto;
+} else {
+    crypto = (await import('crypto')).default;
+}
+
+// --- Byte helpers ---
+
+export const from_hex = (hex) => {
+    if (hex instanceof Uint8Array) return hex;
+    const hex_string = hex.toString().startsWith('0x') ? hex.substring(2) : hex.toString();
+    if (hex_string.length % 2 || /[^0-9a-f]/i.test(hex_string)) throw new Error(`Invalid hex string: ${hex}`);
+    const bytes = new Uint8Array(hex_string.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex_string.substr(i * 2, 2), 16);
+    }
+    return bytes;
+};
+
+export const to_hex = (bytes) => '0x' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+export const concat_bytes = (...buffers) => {
+    let total_length = 0;
+    for (const b of buffers) total_length += b.length;
+    const result = new Uint8Array(total_length);
+    let offset = 0;
+    for (const b of buffers) {
+        result.set(b, offset);
+        offset += b.length;
+    }
+    return result;
+};
+
+export const bytes_equal = (a, b) => {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+};
+
+export async function sha256(...values) {
+    const data = concat_bytes(...values.map(from_hex));
+    if (isBrowser) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    }
+    return new Uint8Array(crypto.createHash('sha256').update(data).digest());
+}
+
+// --- Merkleization ---
+
+const BYTES_PER_CHUNK = 32;
+const zero_hashes = [new Uint8Array(BYTES_PER_CHUNK)];
+
+async function zero_hash(depth) {
+    while (zero_hashes.length <= depth) {
+        const last = zero_hashes[zero_hashes.length - 1];
+        zero_hashes.push(await sha256(last, last));
+    }
+    return zero_hashes[depth];
+}
+
+const next_pow_of_two = (n) => {
+    let result = 1;
+    while (result < n) result *= 2;
+    return result;
+};
+
+export function pack(bytes) {
+    const chunk_count = Math.max(1, Math.ceil(bytes.length / BYTES_PER_CHUNK));
+    const padded = new Uint8Array(chunk_count * BYTES_PER_CHUNK);
+    padded.set(bytes);
+    const chunks = [];
+    for (let i = 0; i < chunk_count; i++) chunks.push(padded.subarray(i * BYTES_PER_CHUNK, (i + 1) * BYTES_PER_CHUNK));
+    return bytes.length ? chunks : [];
+}
+
+export async function merkleize(chunks, limit) {
+    const size = next_pow_of_two(limit === undefined ? chunks.length : limit);
+    if (chunks.length > size) throw new Error(`Too many chunks: ${chunks.length} > ${size}`);
+    let layer = chunks;
+    let depth = 0;
+    for (let width = size; width > 1; width /= 2, depth++) {
+        if (!layer.length) {
+            layer = [await zero_hash(depth)];
+            continue;
+        }
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(await sha256(layer[i], i + 1 < layer.length ? layer[i + 1] : await zero_hash(depth)));
+        }
+        layer = next;
+    }
+    return layer.length ? layer[0] : zero_hash(depth);
+}
+
+export async function mix_in_length(root, length) {
+    return sha256(root, uint256.serialize(BigInt(length)));
+}
+
+export async function mix_in_selector(root, selector) {
+    return sha256(root, uint256.serialize(BigInt(selector)));
+}
+
+// Computes the root of a merkle branch for the leaf at the given generalized index.
+export async function merkle_root_from_branch(gindex, branch, leaf) {
+    if (branch.length !== gindex_depth(gindex)) throw new Error(`Invalid branch length ${branch.length} for gindex ${gindex}`);
+    let root = leaf, i = 0;
+    let index = BigInt(gindex);
+    while (index > 1n) {
+        root = index % 2n ? await sha256(branch[i++], root) : await sha256(root, branch[i++]);
+        index >>= 1n;
+    }
+    return root;
+}
+
+export async function is_valid_merkle_branch(leaf, branch, gindex, root) {
+    return bytes_equal(await merkle_root_from_branch(gindex, branch.map(from_hex), from_hex(leaf)), from_hex(root));
+}
+
+export const gindex_depth = (gindex) => BigInt(gindex).toString(2).length - 1;
+
+// The generalized index of `child` within the subtree rooted at `parent`, relative to the root of `parent`.
+export const concat_gindices = (parent, child) => {
+    const depth = BigInt(gindex_depth(child));
+    return (BigInt(parent) << depth) | (BigInt(child) - (1n << depth));
+};
+
+// The indices of the nodes needed to prove the given leaves, in descending order as defined by the spec.
+export function multi_proof_helper_indices(gindices) {
+    const branch = new Set(), path = new Set();
+    for (let index of gindices.map(BigInt)) {
+        for (; index > 1n; index >>= 1n) {
+            branch.add(index ^ 1n);
+            path.add(index);
+        }
+    }
+    return [...branch].filter(i => !path.has(i)).sort((a, b) => (a < b ? 1 : a > b ? -1 : 0));
+}
+
+/**
+ * Computes the root of a merkle multiproof
+ * (https://github.com/ethereum/consensus-specs/blob/dev/ssz/merkle-proofs.md#merkle-multiproofs).
+ * @param {Map<bigint, Uint8Array>} leaves the proven leaves by generalized index
+ * @param {Uint8Array[]} proof the helper nodes in the order of `multi_proof_helper_indices`
+ */
+export async function merkle_root_from_multi_proof(leaves, proof) {
+    const helpers = multi_proof_helper_indices([...leaves.keys()]);
+    if (helpers.length !== proof.length) throw new Error(`Invalid multiproof length ${proof.length}, expected ${helpers.length}`);
+    const nodes = new Map([...leaves.entries(), ...helpers.map((index, i) => [index, from_hex(proof[i])])]);
+    const keys = [...nodes.keys()].sort((a, b) => (a < b ? 1 : a > b ? -1 : 0));
+    for (let pos = 0; pos < keys.length; pos++) {
+        const index = keys[pos];
+        if (index > 1n && nodes.has(index ^ 1n) && !nodes.has(index >> 1n)) {
+            const left = nodes.get(index & ~1n), right = nodes.get(index | 1n);
+            nodes.set(index >> 1n, await sha256(left, right));
+            keys.push(index >> 1n);
+        }
+    }
+    if (!nodes.has(1n)) throw new Error('Multiproof does not reach the root');
+    return nodes.get(1n);
+}
+
+// --- Types ---
+
+const check_length = (bytes, expected, name) => {
+    if (bytes.length !== expected) throw new Error(`Invalid SSZ length for ${name}: expected ${expected} bytes, got ${bytes.length}`);
+};
+
+const read_offset = (bytes, index) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(index, true);
+
+const write_offset = (value) => {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+};
+
+export function uint(bits) {
+    const size = bits / 8;
+    const name = `uint${bits}`;
+    return {
+        name,
+        fixed_size: size,
+        decode(bytes) {
+            check_length(bytes, size, name);
+            let value = 0n;
+            for (let i = size - 1; i >= 0; i--) value = (value << 8n) | BigInt(bytes[i]);
+            return bits > 32 ? value : Number(value);
+        },
+        serialize(value) {
+            const bytes = new Uint8Array(size);
+            let v = BigInt(value);
+            for (let i = 0; i < size; i++) {
+                bytes[i] = Number(v & 0xffn);
+                v >>= 8n;
+            }
+            return bytes;
+        },
+        from_json(json) {
+            return bits > 32 ? BigInt(json) : Number(json);
+        },
+        to_json: (value) => String(value),
+        async hash_tree_root(value) {
+            return merkleize(pack(this.serialize(value)));
+        },
+    };
+}
+
+export const uint8 = uint(8);
+export const uint16 = uint(16);
+export const uint32 = uint(32);
+export const uint64 = uint(64);
+export const uint256 = uint(256);
+
+export const boolean = {
+    name: 'boolean',
+    fixed_size: 1,
+    decode(bytes) {
+        check_length(bytes, 1, 'boolean');
+        if (bytes[0] > 1) throw new Error(`Invalid boolean value ${bytes[0]}`);
+        return bytes[0] === 1;
+    },
+    serialize: (value) => new Uint8Array([value ? 1 : 0]),
+    from_json: (json) => json === true || json === 'true',
+    to_json: (value) => value,
+    async hash_tree_root(value) {
+        return merkleize(pack(this.serialize(value)));
+    },
+};
+
+export function byte_vector(length) {
+    const name = `ByteVector[${length}]`;
+    return {
+        name,
+        fixed_size: length,
+        decode(bytes) {
+            check_length(bytes, length, name);
+            return bytes.slice();
+        },
+        serialize: (value) => value,
+        from_json(json) {
+            const bytes = from_hex(json);
+            check_length(bytes, length, name);
+            return bytes;
+        },
+        to_json: (value) => to_hex(value),
+        hash_tree_root: (value) => merkleize(pack(value), Math.ceil(length / BYTES_PER_CHUNK)),
+    };
+}
+
+export function byte_list(limit) {
+    const name = `ByteList[${limit}]`;
+    return {
+        name,
+        fixed_size: null,
+        decode(bytes) {
+            if (bytes.length > limit) throw new Error(`${name} exceeds its limit: ${bytes.length}`);
+            return bytes.slice();
+        },
+        serialize: (value) => value,
+        from_json: (json) => from_hex(json),
+        to_json: (value) => to_hex(value),
+        hash_tree_root: async (value) => mix_in_length(await merkleize(pack(value), Math.ceil(limit / BYTES_PER_CHUNK)), value.length),
+    };
+}
+
+export function bitvector(length) {
+    const size = Math.ceil(length / 8);
+    const name = `Bitvector[${length}]`;
+    return {
+        name,
+        fixed_size: size,
+        decode(bytes) {
+            check_length(bytes, size, name);
+            return bytes.slice();
+        },
+        serialize: (value) => value,
+        from_json(json) {
+            const bytes = from_hex(json);
+            check_length(bytes, size, name);
+            return bytes;
+        },
+        to_json: (value) => to_hex(value),
+        hash_tree_root: (value) => merkleize(pack(value), Math.ceil(length / 256)),
+    };
+}
+
+export const count_bits = (bytes) => {
+    let count = 0;
+    for (const byte of bytes) for (let b = byte; b; b >>= 1) count += b & 1;
+    return count;
+};
+
+export const get_bit = (bytes, index) => (bytes[index >> 3] >> (index & 7)) & 1;
+
+function decode_elements(element_type, bytes, name) {
+    if (element_type.fixed_size !== null) {
+        if (bytes.length % element_type.fixed_size) throw new Error(`Invalid SSZ length for ${name}: ${bytes.length}`);
+        const values = [];
+        for (let i = 0; i < bytes.length; i += element_type.fixed_size) {
+            values.push(element_type.decode(bytes.subarray(i, i + element_type.fixed_size)));
+        }
+        return values;
+    }
+    if (!bytes.length) return [];
+    const first = read_offset(bytes, 0);
+    if (first % 4 || first > bytes.length) throw new Error(`Invalid first offset in ${name}: ${first}`);
+    const offsets = [];
+    for (let i = 0; i < first; i += 4) offsets.push(read_offset(bytes, i));
+    offsets.push(bytes.length);
+    return offsets.slice(0, -1).map((start, i) => {
+        if (offsets[i + 1] < start) throw new Error(`Invalid offsets in ${name}`);
+        return element_type.decode(bytes.subarray(start, offsets[i + 1]));
+    });
+}
+
+function serialize_elements(element_type, values) {
+    if (element_type.fixed_size !== null) return concat_bytes(...values.map(v => element_type.serialize(v)));
+    const parts = values.map(v => element_type.serialize(v));
+    let offset = parts.length * 4;
+    const offsets = parts.map(part => {
+        const result = write_offset(offset);
+        offset += part.length;
+        return result;
+    });
+    return concat_bytes(...offsets, ...parts);
+}
+
+const is_basic = (type) => type.name.startsWith('uint') || type.name === 'boolean';
+
+async function element_chunks(element_type, values) {
+    if (is_basic(element_type)) return pack(serialize_elements(element_type, values));
+    const roots = [];
+    for (const value of values) roots.push(await element_type.hash_tree_root(value));
+    return roots;
+}
+
+export function vector(element_type, length) {
+    const name = `Vector[${element_type.name}, ${length}]`;
+    return {
+        name,
+        fixed_size: element_type.fixed_size === null ? null : element_type.fixed_size * length,
+        decode(bytes) {
+            const values = decode_elements(element_type, bytes, name);
+            if (values.length !== length) throw new Error(`Invalid element count for ${name}: ${values.length}`);
+            return values;
+        },
+        serialize: (values) => serialize_elements(element_type, values),
+        from_json(json) {
+            if (!Array.isArray(json) || json.length !== length) throw new Error(`Expected ${length} elements for ${name}`);
+            return json.map(v => element_type.from_json(v));
+        },
+        to_json: (values) => values.map(v => element_type.to_json(v)),
+        async hash_tree_root(values) {
+            const limit = is_basic(element_type) ? Math.ceil(length * element_type.fixed_size / BYTES_PER_CHUNK) : length;
+            return merkleize(await element_chunks(element_type, values), limit);
+        },
+    };
+}
+
+export function list(element_type, limit) {
+    const name = `List[${element_type.name}, ${limit}]`;
+    return {
+        name,
+        fixed_size: null,
+        decode(bytes) {
+            const values = decode_elements(element_type, bytes, name);
+            if (values.length > limit) throw new Error(`${name} exceeds its limit: ${values.length}`);
+            return values;
+        },
+        serialize: (values) => serialize_elements(element_type, values),
+        from_json(json) {
+            if (!Array.isArray(json) || json.length > limit) throw new Error(`Expected at most ${limit} elements for ${name}`);
+            return json.map(v => element_type.from_json(v));
+        },
+        to_json: (values) => values.map(v => element_type.to_json(v)),
+        async hash_tree_root(values) {
+            const chunk_limit = is_basic(element_type) ? Math.ceil(limit * element_type.fixed_size / BYTES_PER_CHUNK) : limit;
+            return mix_in_length(await merkleize(await element_chunks(element_type, values), chunk_limit), values.length);
+        },
+    };
+}
+
+/**
+ * creates a container type.
+ * @param {string} name name of the container used in error messages
+ * @param {Array<[string, object]>} fields ordered list of field names and types
+ */
+export function container(name, fields) {
+    const is_fixed = fields.every(([, type]) => type.fixed_size !== null);
+    const fixed_part = fields.reduce((sum, [, type]) => sum + (type.fixed_size === null ? 4 : type.fixed_size), 0);
+    return {
+        name,
+        fields,
+        fixed_size: is_fixed ? fixed_part : null,
+        decode(bytes) {
+            if (bytes.length < fixed_part) throw new Error(`Invalid SSZ length for ${name}: ${bytes.length} < ${fixed_part}`);
+            if (is_fixed) check_length(bytes, fixed_part, name);
+            const result = {};
+            const variable = [];
+            let pos = 0;
+            for (const [field, type] of fields) {
+                if (type.fixed_size === null) {
+                    variable.push({ field, type, offset: read_offset(bytes, pos) });
+                    pos += 4;
+                } else {
+                    result[field] = type.decode(bytes.subarray(pos, pos + type.fixed_size));
+                    pos += type.fixed_size;
+                }
+            }
+            if (variable.length && variable[0].offset !== fixed_part) throw new Error(`Invalid first offset in ${name}: ${variable[0].offset} !== ${fixed_part}`);
+            variable.forEach(({ field, type, offset }, i) => {
+                const end = i + 1 < variable.length ? variable[i + 1].offset : bytes.length;
+                if (end < offset || end > bytes.length) throw new Error(`Invalid offset for ${name}.${field}`);
+                result[field] = type.decode(bytes.subarray(offset, end));
+            });
+            return result;
+        },
+        serialize(value) {
+            const fixed = [], variable = [];
+            let offset = fixed_part;
+            for (const [field, type] of fields) {
+                const bytes = type.serialize(value[field]);
+                if (type.fixed_size === null) {
+                    fixed.push(write_offset(offset));
+                    variable.push(bytes);
+                    offset += bytes.length;
+                } else {
+                    fixed.push(bytes);
+                }
+            }
+            return concat_bytes(...fixed, ...variable);
+        },
+        from_json(json) {
+            if (!json || typeof json !== 'object') throw new Error(`Expected an object for ${name}`);
+            const result = {};
+            for (const [field, type] of fields) {
+                if (json[field] === undefined) throw new Error(`Missing field ${name}.${field}`);
+                result[field] = type.from_json(json[field]);
+            }
+            return result;
+        },
+        to_json(value) {
+            const result = {};
+            for (const [field, type] of fields) result[field] = type.to_json(value[field]);
+            return result;
+        },
+        async hash_tree_root(value) {
+            const roots = [];
+            for (const [field, type] of fields) roots.push(await type.hash_tree_root(value[field]));
+            return merkleize(roots);
+        },
+        // the generalized index of a field, relative to the root of the container
+        gindex(field) {
+            const index = fields.findIndex(([f]) => f === field);
+            if (index < 0) throw new Error(`Unknown field ${name}.${field}`);
+            return BigInt(next_pow_of_two(fields.length) + index);
+        },
+    };
+}
+
+/**
+ * creates a union type. A `null` option stands for `None`.
+ * Values are represented as { selector, value }.
+ */
+export function union(name, options) {
+    return {
+        name,
+        options,
+        fixed_size: null,
+        decode(bytes) {
+            if (!bytes.length) throw new Error(`Empty SSZ union ${name}`);
+            const selector = bytes[0];
+            if (selector >= options.length) throw new Error(`Invalid selector ${selector} for ${name}`);
+            const type = options[selector];
+            if (!type) {
+                if (bytes.length !== 1) throw new Error(`Invalid SSZ length for ${name} None`);
+                return { selector, value: null };
+            }
+            return { selector, value: type.decode(bytes.subarray(1)) };
+        },
+        serialize({ selector, value }) {
+            const type = options[selector];
+            return concat_bytes(new Uint8Array([selector]), type ? type.serialize(value) : new Uint8Array(0));
+        },
+        from_json() {
+            throw new Error(`JSON is not supported for union ${name}`);
+        },
+        to_json() {
+            throw new Error(`JSON is not supported for union ${name}`);
+        },
+        async hash_tree_root({ selector, value }) {
+            const type = options[selector];
+            return mix_in_selector(type ? await type.hash_tree_root(value) : new Uint8Array(BYTES_PER_CHUNK), selector);
+        },
+    };
+}
+
+export const Bytes4 = byte_vector(4);
+export const Bytes20 = byte_vector(20);
+export const Bytes32 = byte_vector(32);
+export const Bytes48 = byte_vector(48);
+export const Bytes96 = byte_vector(96);
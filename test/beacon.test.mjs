@@ -0,0 +1,134 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { check_beacon_node } from '../src/beacon.mjs';
+import { start_beacon_simulator, period_update } from './simulators/beacon.mjs';
+import { CHECK_NAMES } from '../src/profiles.mjs';
+import { use_fetch } from '../src/transport.mjs';
+import { to_hex } from '../src/ssz.mjs';
+import { run_checks, failed_checks } from './helpers.mjs';
+
+const LC_CHECKS = [
+    'light_client_update as json', 'light_client_update as ssz',
+    'light_client_bootstrap as json', 'light_client_bootstrap as ssz',
+    'light_client_finality_update as json', 'light_client_finality_update as ssz',
+    'light_client_optimistic_update as json', 'light_client_optimistic_update as ssz',
+];
+
+describe('beacon checks', () => {
+    let node;
+    before(async () => node = await start_beacon_simulator({ delay: 1000 }));
+    after(() => node.close());
+    afterEach(() => node.faults.clear());
+
+    it('pass against a healthy node', async () => {
+        const results = await run_checks(check_beacon_node, node.url);
+        assert.deepEqual(failed_checks(results), []);
+        assert.deepEqual(Object.keys(results).filter(name => !CHECK_NAMES.beacon.includes(name)), ['colibri suitable']);
+        assert.equal(results.network.result, 'ok (mainnet)');
+        assert.equal(results.cors_headers.result, 'ok (*)');
+        assert.equal(results.sync_committee_chain.result, 'ok (periods 1389-1452)');
+        assert.match(results['light_client_update as json'].result, /^ok \(electra, participation >= 507\/512\)$/);
+        assert.match(results['light_client_finality_update as ssz'].result, /attested 2 slots behind head/);
+        assert.equal(results['colibri suitable'].result, 'ok');
+    });
+
+    it('verify the updates of the last 21 periods with the committee of the period before', async () => {
+        const periods = [];
+        use_fetch((resource, options) => {
+            const url = new URL(resource);
+            if (url.pathname === '/eth/v1/beacon/light_client/updates') periods.push(Number(url.searchParams.get('start_period')));
+            return fetch(resource, options);
+        });
+        try {
+            const results = await run_checks(check_beacon_node, node.url, { only: ['light_client_update as json'] });
+            assert.match(results['light_client_update as json'].result, /^ok \(electra, /);
+        } finally {
+            use_fetch();
+        }
+        assert.deepEqual(periods, Array.from({ length: 22 }, (_, i) => 1431 + i));
+    });
+
+    it('detect a wrong signature of the oldest update', async () => {
+        // the signature of the next period's update, a valid point which doesn't verify for this update
+        const signature = to_hex((await period_update(1433)).update.sync_aggregate.sync_committee_signature);
+        use_fetch(async (resource, options) => {
+            const response = await fetch(resource, options);
+            const url = new URL(resource);
+            if (url.pathname !== '/eth/v1/beacon/light_client/updates' || url.searchParams.get('start_period') !== '1432') return response;
+            const updates = await response.json();
+            updates[0].data.sync_aggregate.sync_committee_signature = signature;
+            return new Response(JSON.stringify(updates), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        });
+        try {
+            const results = await run_checks(check_beacon_node, node.url, { only: ['light_client_update as json', 'sync_committee_chain'] });
+            assert.match(results['light_client_update as json'].result, /^Invalid sync aggregate signature for slot \d+ \(period 1432\)$/);
+            assert.match(results.sync_committee_chain.result, /^ok /);
+        } finally {
+            use_fetch();
+        }
+    });
+
+    it('detect wrong Merkle branches', async () => {
+        node.faults.add('bad_branch');
+        const results = await run_checks(check_beacon_node, node.url, { only: [...LC_CHECKS, 'sync_committee_chain'] });
+        for (const name of LC_CHECKS) {
+            assert.equal(results[name].passed, false, name);
+            assert.match(results[name].result, /Invalid Merkle Proof/, name);
+        }
+        assert.match(results.sync_committee_chain.result, /^Chain breaks at period 1388: Invalid Merkle Proof: next_sync_committee/);
+        assert.match(results['colibri suitable'].result, /required checks failed: light_client_update as json/);
+    });
+
+    it('detect a missing CORS header', async () => {
+        node.faults.add('no_cors');
+        const results = await run_checks(check_beacon_node, node.url, { only: ['cors_headers'] });
+        assert.equal(results.cors_headers.passed, false);
+        assert.equal(results.cors_headers.result, 'CORS header (access-control-allow-origin) not found');
+    });
+
+    it('detect JSON responses to SSZ requests', async () => {
+        node.faults.add('no_ssz');
+        const results = await run_checks(check_beacon_node, node.url, { only: ['block_as_ssz', ...LC_CHECKS] });
+        for (const name of ['block_as_ssz', ...LC_CHECKS.filter(name => name.endsWith('ssz'))]) {
+            assert.equal(results[name].passed, false, name);
+            assert.match(results[name].result, /^SSZ requested, but json delivered for \/eth\//, name);
+        }
+        for (const name of LC_CHECKS.filter(name => name.endsWith('json'))) assert.equal(results[name].passed, true, name);
+    });
+
+    it('detect stale light client updates', async () => {
+        node.faults.add('stale');
+        const results = await run_checks(check_beacon_node, node.url, { only: LC_CHECKS.filter(name => /finality|optimistic/.test(name)) });
+        for (const name of LC_CHECKS.filter(name => /finality|optimistic/.test(name))) {
+            assert.equal(results[name].result, 'Update is stale: attested header is 50 slots behind the head (max 8)', name);
+        }
+    });
+
+    it('report timeouts', async () => {
+        node.faults.add('timeout');
+        const results = await run_checks(check_beacon_node, node.url, { only: ['network', 'version'], timeout: 200 });
+        assert.equal(results.network.result, 'Request timed out after 0.2 seconds');
+        assert.equal(results.version.result, 'Request timed out after 0.2 seconds');
+        assert.equal(results['colibri suitable'].passed, false);
+    });
+
+    it('reduce HTML error pages to their text', async () => {
+        node.faults.add('html_errors');
+        const results = await run_checks(check_beacon_node, node.url, { only: ['version', 'headers_by_parent', 'sse_events'] });
+        assert.equal(results.version.passed, true);
+        assert.equal(results.headers_by_parent.result, '502 Bad Gateway nginx');
+        assert.equal(results.sse_events.result, 'Failed to connect to event stream: Bad Gateway');
+    });
+
+    it('fail the rate limit check if the lowest rate is limited', async () => {
+        const limited = await start_beacon_simulator({ rate_limit: 3 });
+        try {
+            const results = await run_checks(check_beacon_node, limited.url, { only: ['rate_limit'] });
+            assert.equal(results.rate_limit.passed, false);
+            assert.equal(results.rate_limit.category, 'rate_limit');
+            assert.match(results.rate_limit.result, /^limited at 5 req\/s .*Rate limited \(HTTP 429, retry after 1s\).*x-ratelimit-limit: 3/);
+        } finally {
+            await limited.close();
+        }
+    });
+});
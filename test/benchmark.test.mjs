@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { benchmark_text, render_benchmark } from '../src/benchmark.mjs';
+
+const call = (name, extra = {}) => ({ name, requests: 10, error_rate: 0.1, throughput: 5, p50: 10, p95: 20, p99: 30, ...extra });
+const benchmark = { concurrency: 2, duration: 2, calls: [call('eth_call', { error_messages: { 'HTTP 500\n<html>': 1 } })], total: call('total') };
+
+describe('render_benchmark', () => {
+    it('escapes errors and labels in markdown reports', () => {
+        const markdown = render_benchmark('markdown', [
+            { url: 'http://a.example', label: 'a|b', error: 'Benchmark setup failed: HTTP 502\n| not | a | row |' },
+            { url: 'http://c.example', label: 'c', type: 'execution', benchmark },
+        ]);
+        assert.match(markdown, /^## a\\\|b\n\n❌ Failed to benchmark node: Benchmark setup failed: HTTP 502 \\\| not \\\| a \\\| row \\\|\n/m);
+        assert.match(markdown, /^\| eth_call \| 10 \| 10\.0% \| 5\.0 \| 10 ms \| 20 ms \| 30 ms \|$/m);
+    });
+
+    it('keeps error messages on one line in text reports', () => {
+        assert.match(benchmark_text(benchmark), /\n {2}eth_call: 1x HTTP 500 <html>$/);
+    });
+});
@@ -0,0 +1,31 @@
+// Replays recorded exchanges with Colibri provers, so the decoding and verification of their proofs is checked against
+// recorded output and not only against the running simulator. `colibri-simulator.json.gz` was recorded from the colibri
+// simulator, recordings of real provers are made the same way:
+//   node src/index.mjs --record test/fixtures/colibri-<network>.json.gz --only "network,version,proof_eth_blockNumber (non-zk),proof_eth_blockNumber (zk)" --reference-url <execution url> <prover url>
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { check_colibri_node } from '../src/prover.mjs';
+import { load_fixtures, start_replay } from '../src/fixtures.mjs';
+import { use_fetch } from '../src/transport.mjs';
+import { failed_checks, run_checks } from './helpers.mjs';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+const CHECKS = ['network', 'version', 'proof_eth_blockNumber (non-zk)', 'proof_eth_blockNumber (zk)'];
+
+describe('recorded colibri provers', () => {
+    for (const name of readdirSync(FIXTURES).filter(name => /^colibri-.*\.json(\.gz)?$/.test(name))) {
+        it(`decode and verify the proofs of ${name}`, async () => {
+            const replayer = start_replay(await load_fixtures(FIXTURES + name));
+            try {
+                const { url, reference_url } = replayer.nodes[0];
+                const results = await run_checks(check_colibri_node, url, { reference_url, only: CHECKS });
+                assert.deepEqual(failed_checks(results), []);
+                assert.deepEqual(Object.keys(results), [...CHECKS, 'colibri suitable']);
+            } finally {
+                use_fetch();
+            }
+        });
+    }
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectNodeType } from '../src/detectNodeType.mjs';
+import { start_beacon_simulator } from './simulators/beacon.mjs';
+import { start_execution_simulator } from './simulators/execution.mjs';
+import { start_colibri_simulator } from './simulators/colibri.mjs';
+
+describe('detectNodeType', () => {
+    let beacon, execution, colibri;
+    before(async () => [beacon, execution, colibri] = await Promise.all([
+        start_beacon_simulator({ delay: 1000 }), start_execution_simulator(), start_colibri_simulator(),
+    ]));
+    after(() => Promise.all([beacon.close(), execution.close(), colibri.close()]));
+
+    it('detects a beacon node and its network', async () => {
+        assert.deepEqual(await detectNodeType(beacon.url + '/'), { type: 'beacon', url: beacon.url, network: 'mainnet' });
+    });
+
+    it('detects an execution node and its network', async () => {
+        assert.deepEqual(await detectNodeType(execution.url), { type: 'execution', url: execution.url, network: 'mainnet' });
+    });
+
+    it('detects a Colibri prover without a network', async () => {
+        assert.deepEqual(await detectNodeType(` ${colibri.url} `), { type: 'colibri', url: colibri.url, network: null });
+    });
+
+    it('detects the type if only the version probe is answered', async () => {
+        beacon.faults.add('html_errors');
+        try {
+            assert.deepEqual(await detectNodeType(beacon.url), { type: 'beacon', url: beacon.url, network: null });
+        } finally {
+            beacon.faults.clear();
+        }
+    });
+
+    it('reports the failure of every probe', async () => {
+        beacon.faults.add('timeout');
+        try {
+            await assert.rejects(detectNodeType(beacon.url, { timeout: 200 }), {
+                category: 'detection',
+                message: 'Unable to detect node type (beacon: Request timed out after 0.2 seconds, execution: Request timed out after 0.2 seconds, colibri: Request timed out after 0.2 seconds)',
+            });
+        } finally {
+            beacon.faults.clear();
+        }
+    });
+
+    it('rejects invalid urls', async () => {
+        await assert.rejects(detectNodeType('  '), { message: 'Empty URL provided' });
+        await assert.rejects(detectNodeType(null), { message: 'Invalid URL provided' });
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { check_execution_node, parse_log_limits } from '../src/execution.mjs';
+import { start_execution_simulator, CLIENT_VERSION } from './simulators/execution.mjs';
+import { start_simulator, send_json } from './simulators/server.mjs';
+import { CHECK_NAMES } from '../src/profiles.mjs';
+import { run_checks, failed_checks } from './helpers.mjs';
+
+describe('execution checks', () => {
+    let node;
+    before(async () => node = await start_execution_simulator({ delay: 1000 }));
+    after(() => node.close());
+    afterEach(() => node.faults.clear());
+
+    it('pass against a healthy archive node', async () => {
+        const results = await run_checks(check_execution_node, node.url);
+        assert.deepEqual(failed_checks(results), []);
+        assert.deepEqual(Object.keys(results).filter(name => !CHECK_NAMES.execution.includes(name)), ['colibri suitable']);
+        assert.equal(results.network.result, 'ok (mainnet)');
+        assert.equal(results.web3_clientVersion.result, CLIENT_VERSION);
+        assert.match(results.batch_requests.result, /^ok \(partial errors supported, max batch size 100 \(500 failed: RPC Error: batch too large/);
+        assert.match(results['eth_subscribe (newHeads)'].result, /^ok \(ws:\/\/127\.0\.0\.1:\d+, block \d+\)$/);
+        assert.equal(results.eth_getProof.result, 'ok (historical state supported, 3 accounts, 5 storage slots verified)');
+        assert.equal(results.eth_getBlockReceipts.result, 'ok, 9 receipts in 3 blocks match the receiptsRoot');
+        assert.equal(results.eth_getLogs.result, 'ok (max range 10,000 blocks, max 2,000 results)');
+        assert.match(results.archive_depth.result, /^ok \(state at block \d+, latest - 100,000\)$/);
+    });
+
+    it('report the state window of a pruned node', async () => {
+        const pruned = await start_execution_simulator({ state_history: 5000 });
+        try {
+            const results = await run_checks(check_execution_node, pruned.url, { only: ['network', 'eth_getProof', 'archive_depth'], state_window: true });
+            assert.match(results.eth_getProof.result, /^ok \(state of the last 5,000 blocks, ~16\.7 hours, 3 accounts, 5 storage slots verified\)$/);
+            assert.equal(results.archive_depth.passed, false);
+            assert.equal(results.archive_depth.result, 'Pruned node, state of the last 5,000 blocks, ~16.7 hours (less than 100,000 blocks)');
+        } finally {
+            await pruned.close();
+        }
+    });
+
+    it('probe a single block for the archive depth by default', async () => {
+        const pruned = await start_execution_simulator({ state_history: 5000 });
+        try {
+            const results = await run_checks(check_execution_node, pruned.url, { only: ['network', 'archive_depth'] });
+            assert.equal(results.archive_depth.passed, false);
+            assert.match(results.archive_depth.result, /^Pruned node, no state at block \d+ \(latest - 100,000\)$/);
+        } finally {
+            await pruned.close();
+        }
+    });
+
+    it('fail instead of reporting pruned state on HTTP errors', async () => {
+        // a proxy failing for the old blocks must not be mistaken for a pruned node
+        const flaky = await start_simulator((request, res) => {
+            const { id, method, params } = JSON.parse(request.body);
+            if (method === 'eth_chainId') return send_json(res, { jsonrpc: '2.0', id, result: '0x1' });
+            if (method === 'eth_blockNumber') return send_json(res, { jsonrpc: '2.0', id, result: '0x100000' });
+            if (BigInt(params[params.length - 1]) < 0x80000n) return send_json(res, { message: 'upstream unavailable' }, 502);
+            send_json(res, { jsonrpc: '2.0', id, result: method === 'eth_getProof' ? {} : '0x0' });
+        });
+        try {
+            const results = await run_checks(check_execution_node, flaky.url, { only: ['network', 'archive_depth'], state_window: true });
+            assert.equal(results.archive_depth.passed, false);
+            assert.equal(results.archive_depth.result, 'HTTP Error 502: upstream unavailable');
+        } finally {
+            await flaky.close();
+        }
+    });
+
+    it('detect wrong Merkle branches', async () => {
+        node.faults.add('bad_branch');
+        const results = await run_checks(check_execution_node, node.url, { only: ['network', 'eth_getProof'] });
+        assert.equal(results.eth_getProof.passed, false);
+        assert.match(results.eth_getProof.result, /^Invalid proof in block \d+: Missing proof node 0x[0-9a-f]{64} at depth 1$/);
+        assert.equal(results['colibri suitable'].result, 'required checks failed: eth_getProof');
+    });
+
+    it('detect a missing CORS header', async () => {
+        node.faults.add('no_cors');
+        const results = await run_checks(check_execution_node, node.url, { only: ['cors_headers'] });
+        assert.equal(results.cors_headers.result, 'CORS header (access-control-allow-origin) not found');
+    });
+
+    it('report timeouts', async () => {
+        node.faults.add('timeout');
+        const results = await run_checks(check_execution_node, node.url, { only: ['network', 'eth_getProof'], timeout: 200 });
+        assert.equal(results.network.result, 'Request timed out after 0.2 seconds');
+        assert.equal(results.eth_getProof.result, 'Request timed out after 0.2 seconds');
+    });
+
+    it('reduce HTML error pages to their text', async () => {
+        node.faults.add('html_errors');
+        const results = await run_checks(check_execution_node, node.url, { only: ['network', 'web3_clientVersion', 'batch_requests'] });
+        assert.equal(results.network.result, 'HTTP Error 502: 502 Bad Gateway nginx');
+        assert.equal(results.web3_clientVersion.passed, true);
+        assert.equal(results.batch_requests.result, 'HTTP Error 502: 502 Bad Gateway nginx');
+    });
+
+    it('report the rate at which requests are limited', async () => {
+        const limited = await start_execution_simulator({ rate_limit: 8 });
+        try {
+            const results = await run_checks(check_execution_node, limited.url, { only: ['rate_limit'] });
+            assert.equal(results.rate_limit.passed, true);
+            assert.match(results.rate_limit.result, /^limited at 10 req\/s \(\d+\/20 requests, Rate limited \(HTTP 429, retry after 1s\): .*Too Many Requests.*\), sustainable [\d.]+ req\/s, headers x-ratelimit-limit: 8/);
+        } finally {
+            await limited.close();
+        }
+    });
+
+    it('parse the limits of eth_getLogs errors', () => {
+        assert.deepEqual(parse_log_limits('RPC Error: exceed maximum block range: 10000 (code: -32602)'), { range: 10000 });
+        assert.deepEqual(parse_log_limits('RPC Error: query returned more than 2000 results (code: -32602)'), { results: 2000 });
+        assert.deepEqual(parse_log_limits('RPC Error: query returned more than 10000 results. Try with this block range [0x1, 0x64].'), { results: 10000, suggested_range: 100 });
+    });
+});
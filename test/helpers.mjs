@@ -0,0 +1,10 @@
+// Runs the checks of a node and returns the results by check name.
+export async function run_checks(check_node, url, options = {}) {
+    const results = await check_node(url, null, { timeout: 30000, ...options });
+    return Object.fromEntries(results.map(result => [result.name, result]));
+}
+
+// The failed checks with their messages, so assertions on an empty list report why checks failed.
+export function failed_checks(results) {
+    return Object.values(results).filter(result => !result.passed).map(result => `${result.name}: ${result.result}`);
+}
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Monitor } from '../src/monitor.mjs';
+import { start_execution_simulator } from './simulators/execution.mjs';
+
+const quiet = { log() { }, error() { } };
+// The samples of a metric as `labels value` lines.
+const samples = (monitor, name) => monitor.metrics().split('\n').filter(line => line.startsWith(name + '{')).map(line => line.slice(name.length));
+
+describe('Monitor', () => {
+    it('fails the checks of a node which could not be checked', async () => {
+        const node = await start_execution_simulator();
+        const monitor = new Monitor([node.url], { logger: quiet, transport: { timeout: 2000, only: ['network'] } });
+        await monitor.run_once();
+        const labels = `{url="${node.url}",type="execution",check="network",required="true"}`;
+        assert.deepEqual(samples(monitor, 'node_check_check_passed').filter(line => line.startsWith(labels)), [`${labels} 1`]);
+
+        await node.close();
+        await monitor.run_once();
+        assert.deepEqual(samples(monitor, 'node_check_detection_failed'), [`{url="${node.url}"} 1`]);
+        assert.deepEqual(samples(monitor, 'node_check_check_passed').filter(line => line.startsWith(labels)), [`${labels} 0`]);
+        assert.deepEqual(samples(monitor, 'node_check_check_pass_ratio').filter(line => line.startsWith(labels)), [`${labels} 0.5`]);
+        assert.match(monitor.history()[0].checks[0].history[1].result, /^not run: Unable to detect node type/);
+    });
+
+    it('does not count other failures as failed detections', async () => {
+        const node = await start_execution_simulator();
+        try {
+            const monitor = new Monitor([{ url: node.url, label: 'node', type: 'beacon', options: { only: ['network'] } }], { logger: quiet });
+            await monitor.run_once();
+            assert.equal(monitor.history()[0].error, 'Expected a beacon node, but detected execution');
+            assert.deepEqual(samples(monitor, 'node_check_detection_failed'), ['{label="node"} 0']);
+            assert.deepEqual(samples(monitor, 'node_check_suitable'), ['{label="node",type="unknown"} 0']);
+        } finally {
+            await node.close();
+        }
+    });
+});
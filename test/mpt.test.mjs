@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256, rlp_encode, trie_root, trie_proof, verify_account_proof, EMPTY_TRIE_ROOT, EMPTY_CODE_HASH } from '../src/mpt.mjs';
+
+const ADDRESSES = ['0x00000000219ab540356cbb839cbe05303d7705fa', '0x000f3df6d732807ef1319fb7b8bb8522d0beac02', '0x1111111111111111111111111111111111111111'];
+const KEY = '0x' + '0'.repeat(63) + '1';
+const STORAGE = [[keccak256(KEY), rlp_encode(0x2an)]];
+const STORAGE_ROOT = trie_root(STORAGE);
+
+const ENTRIES = ADDRESSES.map((address, i) => [keccak256(address), rlp_encode([BigInt(i), 1000n, STORAGE_ROOT, EMPTY_CODE_HASH])]);
+const STATE_ROOT = trie_root(ENTRIES);
+
+// The eth_getProof result for an account of the state above and the storage slot KEY.
+const get_proof = (address) => ({
+    address,
+    accountProof: trie_proof(ENTRIES, keccak256(address)),
+    nonce: '0x' + ADDRESSES.indexOf(address).toString(16),
+    balance: '0x3e8',
+    storageHash: STORAGE_ROOT,
+    codeHash: EMPTY_CODE_HASH,
+    storageProof: [{ key: KEY, value: '0x2a', proof: trie_proof(STORAGE, keccak256(KEY)) }],
+});
+
+describe('verify_account_proof', () => {
+    it('verifies the account and storage proofs of the requested account', () => {
+        assert.equal(verify_account_proof(STATE_ROOT, get_proof(ADDRESSES[1]), { address: ADDRESSES[1].toUpperCase().replace('0X', '0x'), storage_keys: [KEY] }), 1);
+    });
+
+    it('verifies proofs of absence', () => {
+        const address = '0x2222222222222222222222222222222222222222';
+        const proof = { ...get_proof(address), nonce: '0x0', balance: '0x0', storageHash: EMPTY_TRIE_ROOT, storageProof: [] };
+        assert.equal(verify_account_proof(STATE_ROOT, proof, { address, storage_keys: [] }), 0);
+    });
+
+    it('rejects a valid proof of another account', () => {
+        assert.throws(() => verify_account_proof(STATE_ROOT, get_proof(ADDRESSES[0]), { address: ADDRESSES[2], storage_keys: [KEY] }),
+            new RegExp(`^Error: Proof is for ${ADDRESSES[0]} instead of ${ADDRESSES[2]}$`));
+    });
+
+    it('rejects valid storage proofs of other keys', () => {
+        for (const storage_keys of [['0x' + '0'.repeat(63) + '2'], [], [KEY, KEY]]) {
+            assert.throws(() => verify_account_proof(STATE_ROOT, get_proof(ADDRESSES[0]), { address: ADDRESSES[0], storage_keys }),
+                /^Error: Storage proofs of 0x[0-9a-f]{40} do not match the requested keys$/);
+        }
+    });
+
+    it('rejects a wrong storage value', () => {
+        const proof = get_proof(ADDRESSES[0]);
+        proof.storageProof[0].value = '0x2b';
+        assert.throws(() => verify_account_proof(STATE_ROOT, proof), /does not match the storage proof/);
+    });
+});
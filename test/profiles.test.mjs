@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { select_checks, unknown_checks, CHECK_NAMES } from '../src/profiles.mjs';
+import { EXIT_CODES } from '../src/report.mjs';
+
+const CLI = fileURLToPath(new URL('../src/index.mjs', import.meta.url));
+
+const check = (name, required = false, extra = {}) => ({ name, fn: () => 'ok', required, ...extra });
+const CHECKS = [
+    check('network', true),
+    check('eth_getProof', true),
+    check('eth_getLogs'),
+    check('rate_limit', false, { opt_in: 'rate_limit' }),
+    check('colibri suitable'),
+];
+const names = (checks) => checks.map(c => c.name);
+
+// Runs the command line tool and resolves with its exit code and stderr.
+const run_cli = (args) => new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, ...args], { timeout: 30000 }, (error, stdout, stderr) => resolve({ code: child.exitCode, stderr }));
+});
+
+describe('select_checks', () => {
+    it('runs the checks of the default profile without the opt-in checks', () => {
+        assert.deepEqual(names(select_checks('execution', CHECKS)), ['network', 'eth_getProof', 'eth_getLogs', 'colibri suitable']);
+    });
+
+    it('runs opt-in checks if their option is set or they are selected by name', () => {
+        assert.deepEqual(names(select_checks('execution', CHECKS, { rate_limit: true })), ['network', 'eth_getProof', 'eth_getLogs', 'rate_limit', 'colibri suitable']);
+        assert.deepEqual(names(select_checks('execution', CHECKS, { only: ['rate_limit'] })), ['rate_limit', 'colibri suitable']);
+    });
+
+    it('applies only, skip and the required checks of a profile', () => {
+        assert.deepEqual(names(select_checks('execution', CHECKS, { only: ['network', 'eth_getLogs'], skip: ['network'] })), ['eth_getLogs', 'colibri suitable']);
+        const selected = select_checks('execution', CHECKS, { profile: 'light-client-only' });
+        assert.deepEqual(selected.filter(c => c.required).map(c => c.name), ['network', 'eth_getProof']);
+        assert.equal(selected.find(c => c.name === 'eth_getLogs').required, false);
+    });
+
+    it('does not report a node as suitable if no check of its type is selected', () => {
+        const selected = select_checks('execution', CHECKS, { only: ['proof_eth_call'] });
+        assert.deepEqual(names(selected), ['colibri suitable']);
+        assert.throws(() => selected[0].fn({ required_failed: [] }), /^Error: no checks selected for execution nodes$/);
+    });
+
+    it('fails for an unknown profile', () => {
+        assert.throws(() => select_checks('execution', CHECKS, { profile: 'nope' }), /Unknown profile nope/);
+    });
+});
+
+describe('check selection', () => {
+    it('knows the checks of all node types', () => {
+        assert.deepEqual(unknown_checks(['network', 'light_client_update as ssz', 'proof_eth_call', 'head_lag', 'colibri suitable']), []);
+        assert.deepEqual(unknown_checks(['network', 'typo', 'eth_getproof']), ['typo', 'eth_getproof']);
+        for (const [type, checks] of Object.entries(CHECK_NAMES)) assert.equal(new Set(checks).size, checks.length, type);
+    });
+
+    it('rejects unknown names given to --only and --skip', async () => {
+        for (const args of [['--only', 'typo'], ['--skip', 'network,typo']]) {
+            const { code, stderr } = await run_cli([...args, 'http://127.0.0.1:1']);
+            assert.equal(code, EXIT_CODES.usage, args.join(' '));
+            assert.match(stderr, /^Error: Unknown check typo\n/);
+        }
+    });
+});
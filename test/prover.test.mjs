@@ -0,0 +1,142 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { check_colibri_node, PROVER_METHODS } from '../src/prover.mjs';
+import { start_colibri_simulator } from './simulators/colibri.mjs';
+import { start_execution_simulator } from './simulators/execution.mjs';
+import { start_simulator, send_json } from './simulators/server.mjs';
+import { latest_block, block_timestamp, beacon_block, seeded } from './simulators/chain.mjs';
+import { to_hex } from '../src/ssz.mjs';
+import { CHECK_NAMES } from '../src/profiles.mjs';
+import { run_checks, failed_checks } from './helpers.mjs';
+
+const BLOCK_NUMBER_CHECKS = ['proof_eth_blockNumber (non-zk)', 'proof_eth_blockNumber (zk)'];
+
+describe('colibri checks', () => {
+    let node, reference;
+    before(async () => [node, reference] = await Promise.all([start_colibri_simulator({ delay: 1000 }), start_execution_simulator()]));
+    after(() => Promise.all([node.close(), reference.close()]));
+    afterEach(() => node.faults.clear());
+
+    it('pass against a healthy prover', async () => {
+        const results = await run_checks(check_colibri_node, node.url);
+        assert.deepEqual(failed_checks(results), []);
+        assert.deepEqual(Object.keys(results).filter(name => !CHECK_NAMES.colibri.includes(name)), ['colibri suitable']);
+        assert.equal(results.network.result, 'ok (mainnet)');
+        assert.equal(results.version.result, 'colibri (simulator) 1.0.0');
+        assert.match(results['proof_eth_blockNumber (non-zk)'].result, /^ok \(block \d+, Δ \d+s, slot \d+, SignatureProof with 508\/512 signers\)$/);
+        for (const [method, { proof_type }] of Object.entries(PROVER_METHODS)) {
+            assert.match(results[`proof_${method}`].result, new RegExp(`^ok \\(${proof_type}, size \\d+ bytes, \\d+ ms\\)$`), method);
+        }
+    });
+
+    it('cross-check the proofs with a reference node', async () => {
+        const results = await run_checks(check_colibri_node, node.url, { reference_url: reference.url, only: ['network', ...BLOCK_NUMBER_CHECKS] });
+        assert.deepEqual(failed_checks(results), []);
+        assert.equal(results.network.result, 'ok (mainnet)');
+        for (const name of BLOCK_NUMBER_CHECKS) assert.match(results[name].result, /, matches reference\)$/, name);
+    });
+
+    it('fail the network check without a reference node if the signatures are not valid on the expected network', async () => {
+        const results = await run_checks(check_colibri_node, node.url, { network: 'sepolia', only: ['network'] });
+        assert.equal(results.network.result, 'Wrong network: expected sepolia, node is on mainnet');
+    });
+
+    it('compare the parent beacon block root while the reference does not know the next block', async () => {
+        const quantity = (n) => '0x' + n.toString(16);
+        // a reference node one block behind the chain, so the proven block is its latest one
+        const behind = (parent_root) => start_simulator(async (request, res) => {
+            const { id, method, params } = JSON.parse(request.body);
+            if (method === 'eth_chainId') return send_json(res, { jsonrpc: '2.0', id, result: '0x1' });
+            const head = latest_block() - 1;
+            const n = params[0] === 'latest' ? head : Number(params[0]);
+            const block = n > head ? null : { number: quantity(n), timestamp: quantity(block_timestamp(n)), parentBeaconBlockRoot: to_hex(await parent_root(n)) };
+            send_json(res, { jsonrpc: '2.0', id, result: block });
+        });
+        for (const [parent_root, expected] of [
+            [async (n) => (await beacon_block(n - 1)).root, /, matches reference\)$/],
+            [async (n) => seeded('other parent', n), /^Proven block \d+ diverges from the reference node: parent beacon block root 0x[0-9a-f]{64} !== 0x[0-9a-f]{64}$/],
+        ]) {
+            const stale_reference = await behind(parent_root);
+            try {
+                const results = await run_checks(check_colibri_node, node.url, { reference_url: stale_reference.url, only: ['proof_eth_blockNumber (non-zk)'] });
+                assert.match(results['proof_eth_blockNumber (non-zk)'].result, expected);
+            } finally {
+                await stale_reference.close();
+            }
+        }
+    });
+
+    it('run the selected prover methods only', async () => {
+        const results = await run_checks(check_colibri_node, node.url, { prover_methods: ['eth_call'] });
+        assert.deepEqual(Object.keys(results).filter(name => name.startsWith('proof_eth_') && !BLOCK_NUMBER_CHECKS.includes(name)), ['proof_eth_call']);
+    });
+
+    it('detect wrong Merkle branches', async () => {
+        node.faults.add('bad_branch');
+        const results = await run_checks(check_colibri_node, node.url, { only: BLOCK_NUMBER_CHECKS });
+        for (const name of BLOCK_NUMBER_CHECKS) {
+            assert.match(results[name].result, /^Merkle proof of blockNumber and timestamp does not match the body root 0x[0-9a-f]{64} of slot \d+$/, name);
+        }
+    });
+
+    it('verify historic and header chain proofs up to the signed header', async () => {
+        for (const header_proof of ['historic', 'header_chain']) {
+            const prover = await start_colibri_simulator({ header_proof });
+            try {
+                const results = await run_checks(check_colibri_node, prover.url, { only: BLOCK_NUMBER_CHECKS });
+                assert.deepEqual(failed_checks(results), [], header_proof);
+                assert.match(results['proof_eth_blockNumber (non-zk)'].result, header_proof === 'historic' ? / HistoricProof with / : / HeaderChainProof with /);
+            } finally {
+                await prover.close();
+            }
+        }
+    });
+
+    it('detect tampered header proofs and signatures', async () => {
+        const expected = {
+            signature: /^Invalid sync aggregate signature for slot \d+$/,
+            historic: /^Historic proof of slot \d+ does not match the state root 0x[0-9a-f]{64} of the signed slot \d+$/,
+            header_chain: /^Header chain of slot \d+ does not lead to the parent root 0x[0-9a-f]{64} of the signed slot \d+$/,
+        };
+        for (const [header_proof, message] of Object.entries(expected)) {
+            const prover = await start_colibri_simulator({ header_proof, faults: ['bad_header_proof'] });
+            try {
+                const results = await run_checks(check_colibri_node, prover.url, { only: BLOCK_NUMBER_CHECKS, network: 'mainnet' });
+                for (const name of BLOCK_NUMBER_CHECKS) assert.match(results[name].result, message, `${header_proof} ${name}`);
+            } finally {
+                await prover.close();
+            }
+        }
+    });
+
+    it('detect stale proofs', async () => {
+        node.faults.add('stale');
+        const results = await run_checks(check_colibri_node, node.url, { only: BLOCK_NUMBER_CHECKS });
+        for (const name of BLOCK_NUMBER_CHECKS) assert.match(results[name].result, /^Proof timestamp too old \(block \d+, Δ \d+s\)$/, name);
+    });
+
+    it('report responses without SSZ', async () => {
+        node.faults.add('no_ssz');
+        const results = await run_checks(check_colibri_node, node.url, { only: [...BLOCK_NUMBER_CHECKS, 'proof_eth_call'] });
+        for (const name of BLOCK_NUMBER_CHECKS) assert.equal(results[name].result, 'SSZ encoding is not supported (code: -32603)', name);
+        assert.equal(results.proof_eth_call.result, 'Could not load the latest block from the prover: SSZ encoding is not supported (code: -32603)');
+    });
+
+    it('report timeouts', async () => {
+        node.faults.add('timeout');
+        const results = await run_checks(check_colibri_node, node.url, { only: ['version'], timeout: 200 });
+        assert.equal(results.version.result, 'Request timed out after 0.2 seconds');
+    });
+
+    it('reduce HTML error pages to their text', async () => {
+        node.faults.add('html_errors');
+        const results = await run_checks(check_colibri_node, node.url, { only: ['version', ...BLOCK_NUMBER_CHECKS] });
+        assert.equal(results.version.passed, true);
+        for (const name of BLOCK_NUMBER_CHECKS) assert.equal(results[name].result, 'HTTP 502: 502 Bad Gateway nginx', name);
+    });
+
+    it('pass the rate limit check if no limit is reached', async () => {
+        const results = await run_checks(check_colibri_node, node.url, { only: ['rate_limit'] });
+        assert.match(results.rate_limit.result, /^ok \(no rate limit up to 40 req\/s, sustained [\d.]+ req\/s\)$/);
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXIT_CODES, exit_code, render_report } from '../src/report.mjs';
+
+const entry = (label, suitable, results = []) => ({
+    url: `http://${label}.example`,
+    label,
+    type: 'execution',
+    results: [...results, { name: 'colibri suitable', result: suitable ? 'ok' : 'required checks failed: network', passed: suitable, required: false }],
+});
+
+describe('report', () => {
+    it('exits with 0 if all nodes are suitable', () => {
+        assert.equal(exit_code([entry('a', true), entry('b', true)]), EXIT_CODES.all_suitable);
+    });
+
+    it('exits with 1 if a node is not suitable', () => {
+        assert.equal(exit_code([entry('a', true), entry('b', false)]), EXIT_CODES.some_unsuitable);
+        assert.equal(exit_code([{ ...entry('a', true), results: [] }]), EXIT_CODES.some_unsuitable);
+    });
+
+    it('exits with 2 if the type of a node could not be detected', () => {
+        assert.equal(exit_code([entry('a', false), { url: 'http://b.example', label: 'b', error: 'Could not detect node type', category: 'detection' }]), EXIT_CODES.detection_failed);
+    });
+
+    it('exits with 1 if a node of a detected type could not be checked', () => {
+        assert.equal(exit_code([entry('a', true), { url: 'http://b.example', label: 'b', error: 'Both urls of the pair are beacon nodes' }]), EXIT_CODES.some_unsuitable);
+    });
+
+    it('escapes results in junit reports', () => {
+        const xml = render_report('junit', [entry('a', false, [{ name: 'network', result: 'HTTP Error 502: <html>', passed: false, required: true }])]);
+        assert.match(xml, /HTTP Error 502: &lt;html&gt;/);
+        assert.doesNotMatch(xml, /<html>/);
+    });
+});
@@ -0,0 +1,282 @@
+// A beacon node serving the REST endpoints the beacon checks use, on a chain signed by a small pool of BLS keys.
+// The head stays at HEAD_SLOT on mainnet, the light client updates of all periods before it form a valid chain.
+import { bls12_381 } from '@noble/curves/bls12-381.js';
+import * as lc from '../../src/lightclient.mjs';
+import { NETWORKS } from '../../src/networks.mjs';
+import { merkle_root_from_branch, to_hex, concat_bytes, uint64, sha256 } from '../../src/ssz.mjs';
+import { start_simulator, send_json, send_ssz } from './server.mjs';
+import { seeded, seeded_bytes, sparse_tree } from './chain.mjs';
+
+export const BEACON_FAULTS = ['bad_branch', 'no_cors', 'no_ssz', 'stale', 'timeout', 'html_errors'];
+
+const { spec, genesis_validators_root } = NETWORKS.mainnet;
+const config = new lc.ForkConfig(spec, genesis_validators_root);
+const SLOTS_PER_PERIOD = config.slots_per_period;
+export const HEAD_SLOT = 1452 * SLOTS_PER_PERIOD + 200;
+const HEAD_PERIOD = lc.period_of_slot(HEAD_SLOT, SLOTS_PER_PERIOD);
+// The attested header of the recent updates, behind the head by these slots.
+const ATTESTED_LAG = 2;
+const STALE_ATTESTED_LAG = 50;
+const FINALIZED_LAG = 70;
+
+// --- sync committees ---
+
+const bls = bls12_381.longSignatures;
+const BLS_DST = 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_POP_';
+const CURVE_ORDER = bls12_381.fields.Fr.ORDER;
+const secret_bytes = (secret) => Uint8Array.from(Buffer.from(secret.toString(16).padStart(64, '0'), 'hex'));
+// The committees are drawn from a few keys, so their aggregates are cheap to compute.
+const KEY_POOL = Array.from({ length: 8 }, (_, i) => {
+    const secret = BigInt(i + 1) * 123456789n;
+    return { secret, pubkey: bls.getPublicKey(secret_bytes(secret)).toBytes(true) };
+});
+
+const committees = new Map();
+function committee_of(period) {
+    if (!committees.has(period)) {
+        const keys = Array.from({ length: lc.SYNC_COMMITTEE_SIZE }, (_, i) => KEY_POOL[(i + period) % KEY_POOL.length]);
+        const secret = keys.reduce((sum, key) => (sum + key.secret) % CURVE_ORDER, 0n);
+        committees.set(period, {
+            keys,
+            value: { pubkeys: keys.map(key => key.pubkey), aggregate_pubkey: bls.getPublicKey(secret_bytes(secret)).toBytes(true) },
+        });
+    }
+    return committees.get(period);
+}
+
+// Signs the attested header with the participants of the committee of the signature slot, also used by the colibri simulator.
+export async function sign(attested_header, signature_slot, bits) {
+    const { keys } = committee_of(lc.period_of_slot(signature_slot, SLOTS_PER_PERIOD));
+    const domain = await lc.compute_domain(lc.DOMAIN_SYNC_COMMITTEE, config.fork_at_slot(signature_slot - 1n).version, genesis_validators_root);
+    const signing_root = await sha256(await lc.BeaconBlockHeader.hash_tree_root(attested_header.beacon), domain);
+    let secret = 0n;
+    keys.forEach((key, i) => {
+        if ((bits[i >> 3] >> (i & 7)) & 1) secret = (secret + key.secret) % CURVE_ORDER;
+    });
+    return bls.sign(bls.hash(signing_root, BLS_DST), secret_bytes(secret)).toBytes(true);
+}
+
+// --- light client objects ---
+
+// All but 5 members of the committee sign.
+const sync_committee_bits = () => {
+    const bits = new Uint8Array(lc.SYNC_COMMITTEE_SIZE / 8).fill(255);
+    bits[0] = 0b11100000;
+    return bits;
+};
+
+async function make_header(fork, slot, state_root) {
+    const header = {
+        beacon: { slot: BigInt(slot), proposer_index: BigInt(slot % 1000), parent_root: seeded('parent', slot), state_root, body_root: null },
+    };
+    const execution_type = fork.types.ExecutionPayloadHeader;
+    if (!execution_type) {
+        header.beacon.body_root = seeded('body', slot);
+        return header;
+    }
+    header.execution = {};
+    for (const [field, type] of execution_type.fields) {
+        header.execution[field] = type.fixed_size ? type.decode(new Uint8Array(type.fixed_size)) : new Uint8Array(0);
+    }
+    header.execution.block_number = BigInt(slot);
+    header.execution_branch = [0, 1, 2, 3].map(i => seeded('execution branch', slot, i));
+    header.beacon.body_root = await merkle_root_from_branch(lc.EXECUTION_PAYLOAD_GINDEX, header.execution_branch, await execution_type.hash_tree_root(header.execution));
+    return header;
+}
+
+// A state with the given leaves (by gindex) in the tree of its fields.
+const state_tree = (slot, leaves) => sparse_tree(new Map(leaves), (gindex) => seeded('state', slot, gindex));
+
+const updates = new Map();
+// The update of a period, attested early in the period and signed by the period's committee.
+export function period_update(period) {
+    if (!updates.has(period)) {
+        updates.set(period, (async () => {
+            const slot = period * SLOTS_PER_PERIOD + 100;
+            const fork = config.fork_at_slot(slot);
+            const { gindices } = fork.types;
+            const finalized_header = await make_header(fork, slot - 64, seeded('state root', slot - 64));
+            const state = await state_tree(slot, [
+                [gindices.next_sync_committee, await lc.SyncCommittee.hash_tree_root(committee_of(period + 1).value)],
+                [gindices.finalized_root, await lc.BeaconBlockHeader.hash_tree_root(finalized_header.beacon)],
+            ]);
+            const attested_header = await make_header(fork, slot, state.root);
+            const bits = sync_committee_bits();
+            const signature_slot = BigInt(slot + 1);
+            const update = {
+                attested_header,
+                next_sync_committee: committee_of(period + 1).value,
+                next_sync_committee_branch: await state.branch(gindices.next_sync_committee),
+                finalized_header,
+                finality_branch: await state.branch(gindices.finalized_root),
+                sync_aggregate: { sync_committee_bits: bits, sync_committee_signature: await sign(attested_header, signature_slot, bits) },
+                signature_slot,
+            };
+            return { fork, update };
+        })());
+    }
+    return updates.get(period);
+}
+
+const recent_objects = new Map();
+// The bootstrap of the finalized block and the finality and optimistic updates following the head,
+// with the `stale` variant attesting a header far behind the head.
+function recent(stale) {
+    if (!recent_objects.has(stale)) {
+        recent_objects.set(stale, (async () => {
+            const fork = config.fork_at_slot(HEAD_SLOT);
+            const { gindices } = fork.types;
+            const finalized_slot = HEAD_SLOT - FINALIZED_LAG;
+            const finalized_state = await state_tree(finalized_slot, [
+                [gindices.current_sync_committee, await lc.SyncCommittee.hash_tree_root(committee_of(HEAD_PERIOD).value)],
+            ]);
+            const finalized_header = await make_header(fork, finalized_slot, finalized_state.root);
+            const bootstrap = {
+                header: finalized_header,
+                current_sync_committee: committee_of(HEAD_PERIOD).value,
+                current_sync_committee_branch: await finalized_state.branch(gindices.current_sync_committee),
+            };
+
+            const attested_slot = HEAD_SLOT - (stale ? STALE_ATTESTED_LAG : ATTESTED_LAG);
+            const attested_state = await state_tree(attested_slot, [
+                [gindices.finalized_root, await lc.BeaconBlockHeader.hash_tree_root(finalized_header.beacon)],
+            ]);
+            const attested_header = await make_header(fork, attested_slot, attested_state.root);
+            const bits = sync_committee_bits();
+            const signature_slot = BigInt(attested_slot + 1);
+            const sync_aggregate = { sync_committee_bits: bits, sync_committee_signature: await sign(attested_header, signature_slot, bits) };
+            return {
+                fork,
+                root: to_hex(await lc.BeaconBlockHeader.hash_tree_root(finalized_header.beacon)),
+                LightClientBootstrap: bootstrap,
+                LightClientFinalityUpdate: { attested_header, finalized_header, finality_branch: await attested_state.branch(gindices.finalized_root), sync_aggregate, signature_slot },
+                LightClientOptimisticUpdate: { attested_header, sync_aggregate, signature_slot },
+            };
+        })());
+    }
+    return recent_objects.get(stale);
+}
+
+// The branches of light client objects which the `bad_branch` fault corrupts.
+const BRANCHES = ['next_sync_committee_branch', 'finality_branch', 'current_sync_committee_branch'];
+
+function with_bad_branches(value) {
+    const corrupted = { ...value };
+    for (const name of BRANCHES.filter(name => value[name])) corrupted[name] = [seeded('bad branch', name), ...value[name].slice(1)];
+    return corrupted;
+}
+
+// --- the node ---
+
+const HEAD_ROOT = to_hex(seeded('head root'));
+const head_header = () => ({
+    root: HEAD_ROOT,
+    canonical: true,
+    header: {
+        message: {
+            slot: String(HEAD_SLOT),
+            proposer_index: String(HEAD_SLOT % 1000),
+            parent_root: to_hex(seeded('parent', HEAD_SLOT)),
+            state_root: to_hex(seeded('state root', HEAD_SLOT)),
+            body_root: to_hex(seeded('body', HEAD_SLOT)),
+        },
+        signature: to_hex(seeded_bytes(96, 'signature', HEAD_SLOT)),
+    },
+});
+
+// A signed block whose message starts with its slot, which is all the block_as_ssz check decodes.
+const head_block_ssz = () => concat_bytes(uint64.serialize(100n).subarray(0, 4), seeded_bytes(96, 'signature', HEAD_SLOT),
+    uint64.serialize(BigInt(HEAD_SLOT)), uint64.serialize(BigInt(HEAD_SLOT % 1000)), seeded_bytes(96, 'block', HEAD_SLOT));
+
+// Streams a head event shortly after a client connects and keeps the stream open.
+function head_events(res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.write(': connected\n\n');
+    const timer = setTimeout(() => {
+        const head = head_header();
+        res.write(`event: head\ndata: ${JSON.stringify({ slot: head.header.message.slot, block: head.root, state: head.header.message.state_root })}\n\n`);
+    }, 100);
+    res.on('close', () => clearTimeout(timer));
+}
+
+const not_found = (res, message) => send_json(res, { code: 404, message }, 404);
+
+/**
+ * Starts a beacon node simulator.
+ * @param {object} [options] the options of `start_simulator`: port, faults, delay and rate_limit
+ */
+export function start_beacon_simulator(options = {}) {
+    let simulator;
+    const wants_ssz = (request) => (request.headers.accept || '').includes('application/octet-stream') && !simulator.faults.has('no_ssz');
+
+    // Sends a light client object as SSZ with its fork as Eth-Consensus-Version, or as versioned JSON.
+    async function send_lc_object(request, res, type_name) {
+        const objects = await recent(simulator.faults.has('stale'));
+        const value = simulator.faults.has('bad_branch') ? with_bad_branches(objects[type_name]) : objects[type_name];
+        const { fork } = objects;
+        if (wants_ssz(request)) return send_ssz(res, fork.types[type_name].serialize(value), { 'Eth-Consensus-Version': fork.name });
+        send_json(res, { version: fork.name, data: fork.types[type_name].to_json(value) });
+    }
+
+    async function send_updates(request, res) {
+        const start = Number(request.query.get('start_period')), count = Number(request.query.get('count'));
+        if (!Number.isInteger(start) || !Number.isInteger(count) || count < 1) return send_json(res, { code: 400, message: 'Invalid start_period or count' }, 400);
+        const items = [];
+        for (let period = start; period < start + Math.min(count, 128) && period <= HEAD_PERIOD; period++) {
+            const { fork, update } = await period_update(period);
+            items.push({ fork, update: simulator.faults.has('bad_branch') ? with_bad_branches(update) : update });
+        }
+        if (!wants_ssz(request)) return send_json(res, items.map(({ fork, update }) => ({ version: fork.name, data: fork.types.LightClientUpdate.to_json(update) })));
+
+        const digests = Object.entries(await config.compute_digests());
+        const chunks = items.flatMap(({ fork, update }) => {
+            const payload = fork.types.LightClientUpdate.serialize(update);
+            const [digest] = digests.find(([, f]) => f.name === fork.name);
+            return [uint64.serialize(BigInt(payload.length)), Buffer.from(digest.slice(2), 'hex'), payload];
+        });
+        send_ssz(res, concat_bytes(...chunks));
+    }
+
+    async function handle(request, res) {
+        const { path } = request;
+        if (request.method !== 'GET') return send_json(res, { code: 405, message: 'Method not allowed' }, 405);
+        if (path === '/eth/v1/node/version') return send_json(res, { data: { version: 'Lodestar/v1.30.0/simulator' } });
+        if (path === '/eth/v1/config/spec') return send_json(res, { data: spec });
+        if (path === '/eth/v1/beacon/genesis') {
+            return send_json(res, { data: { genesis_time: '1606824023', genesis_validators_root, genesis_fork_version: spec.GENESIS_FORK_VERSION } });
+        }
+        if (path === '/eth/v1/beacon/headers/head') return send_json(res, { execution_optimistic: false, finalized: false, data: head_header() });
+        if (path === '/eth/v1/beacon/headers') {
+            const head = head_header();
+            return send_json(res, { data: request.query.get('parent_root') === head.header.message.parent_root ? [head] : [] });
+        }
+        if (path === '/eth/v1/events') {
+            if (request.query.get('topics') !== 'head') return send_json(res, { code: 400, message: 'Unsupported topics' }, 400);
+            return head_events(res);
+        }
+        if (path === '/eth/v2/beacon/blocks/head') {
+            const version = config.fork_at_slot(HEAD_SLOT).name;
+            if (wants_ssz(request)) return send_ssz(res, head_block_ssz(), { 'Eth-Consensus-Version': version });
+            return send_json(res, { version, data: { message: { slot: String(HEAD_SLOT), proposer_index: String(HEAD_SLOT % 1000) } } });
+        }
+        if (path === '/eth/v1/beacon/states/head/finality_checkpoints') {
+            const { root } = await recent(false);
+            const epoch = String(Math.floor((HEAD_SLOT - FINALIZED_LAG) / config.slots_per_epoch));
+            return send_json(res, { data: { finalized: { epoch, root } } });
+        }
+        if (path.startsWith('/eth/v1/beacon/light_client/bootstrap/')) {
+            if (path.split('/').pop() !== (await recent(false)).root) return not_found(res, 'LC bootstrap unavailable');
+            return send_lc_object(request, res, 'LightClientBootstrap');
+        }
+        if (path === '/eth/v1/beacon/light_client/finality_update') return send_lc_object(request, res, 'LightClientFinalityUpdate');
+        if (path === '/eth/v1/beacon/light_client/optimistic_update') return send_lc_object(request, res, 'LightClientOptimisticUpdate');
+        if (path === '/eth/v1/beacon/light_client/updates') return send_updates(request, res);
+        not_found(res, `Route ${path} not found`);
+    }
+
+    return start_simulator(handle, {
+        ...options,
+        supported: BEACON_FAULTS,
+        is_version_probe: (request) => request.path === '/eth/v1/node/version',
+    }).then(started => simulator = started);
+}
@@ -0,0 +1,132 @@
+// The simulated chain shared by the execution and the Colibri simulator, so a prover can be cross-checked with the
+// execution simulator as reference node. Block n has the timestamp GENESIS_TIME + n * BLOCK_TIME and the latest block
+// follows the clock. All values are derived from the block number, so every simulator sees the same chain, except the
+// parent roots of the beacon headers, which link the headers from a block shortly before the start of the simulators on.
+import { keccak_256 } from '@noble/hashes/sha3.js';
+import { sha256, uint64, concat_gindices, multi_proof_helper_indices, to_hex } from '../../src/ssz.mjs';
+import { BeaconBlockHeader, ExecutionPayloadHeaderDeneb, EXECUTION_PAYLOAD_GINDEX } from '../../src/lightclient.mjs';
+import { NETWORKS } from '../../src/networks.mjs';
+
+export const GENESIS_TIME = 1606824023;
+export const BLOCK_TIME = 12;
+// The slot of block 0, slots and blocks advance together.
+const SLOT_OFFSET = 1000000n;
+
+export const latest_block = () => Math.floor((Date.now() / 1000 - GENESIS_TIME) / BLOCK_TIME);
+export const block_timestamp = (n) => GENESIS_TIME + n * BLOCK_TIME;
+
+// Deterministic bytes for a label like `('hash', 12)`.
+export const seeded = (...parts) => keccak_256(new TextEncoder().encode(parts.join(':')));
+export const seeded_bytes = (length, ...parts) => {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i += 32) bytes.set(seeded(...parts, i).subarray(0, Math.min(32, length - i)), i);
+    return bytes;
+};
+
+/**
+ * A sparse Merkle tree with the given leaves, all other subtrees are replaced by filler hashes.
+ * @param {Map<bigint, Uint8Array>} leaves the leaves by gindex
+ * @param {Function} fill `(gindex) => Uint8Array` the value of a subtree without leaves
+ * @returns {Promise<{root: Uint8Array, node: Function, branch: Function}>}
+ */
+export async function sparse_tree(leaves, fill) {
+    const memo = new Map();
+    const has_leaf_below = (gindex) => [...leaves.keys()].some(leaf => {
+        while (leaf > gindex) leaf >>= 1n;
+        return leaf === gindex;
+    });
+    const node = async (gindex) => {
+        if (memo.has(gindex)) return memo.get(gindex);
+        const value = leaves.has(gindex) ? leaves.get(gindex)
+            : has_leaf_below(gindex) ? await sha256(await node(gindex * 2n), await node(gindex * 2n + 1n))
+                : fill(gindex);
+        memo.set(gindex, value);
+        return value;
+    };
+    const root = await node(1n);
+    const branch = async (gindex) => {
+        const nodes = [];
+        for (let g = gindex; g > 1n; g >>= 1n) nodes.push(await node(g ^ 1n));
+        return nodes;
+    };
+    return { root, node, branch };
+}
+
+export const BLOCK_NUMBER_GINDEX = concat_gindices(EXECUTION_PAYLOAD_GINDEX, ExecutionPayloadHeaderDeneb.gindex('block_number'));
+export const TIMESTAMP_GINDEX = concat_gindices(EXECUTION_PAYLOAD_GINDEX, ExecutionPayloadHeaderDeneb.gindex('timestamp'));
+
+const beacon_blocks = new Map();
+// The roots of the linked headers, kept after their blocks are evicted so the chain is not computed again.
+const beacon_roots = new Map();
+// The first block whose beacon header has the root of its parent's header as parent root, older ones have seeded ones.
+const LINKED_FROM = latest_block() - 256;
+
+const parent_root = async (n) => n <= LINKED_FROM ? seeded('beacon parent', n) : beacon_roots.get(n - 1) || (await beacon_block(n - 1)).root;
+
+/**
+ * The beacon block header whose execution payload is block n, with the multi proof of the block number and
+ * timestamp in its body.
+ * @returns {Promise<{header: object, root: Uint8Array, proof: Uint8Array[]}>}
+ */
+export function beacon_block(n) {
+    if (!beacon_blocks.has(n)) {
+        if (beacon_blocks.size > 64) beacon_blocks.delete(beacon_blocks.keys().next().value);
+        beacon_blocks.set(n, (async () => {
+            const tree = await sparse_tree(new Map([
+                [BLOCK_NUMBER_GINDEX, await uint64.hash_tree_root(BigInt(n))],
+                [TIMESTAMP_GINDEX, await uint64.hash_tree_root(BigInt(block_timestamp(n)))],
+            ]), (gindex) => seeded('body', n, gindex));
+            const header = {
+                slot: SLOT_OFFSET + BigInt(n),
+                proposer_index: BigInt(n % 1000),
+                parent_root: await parent_root(n),
+                state_root: seeded('beacon state', n),
+                body_root: tree.root,
+            };
+            const proof = await Promise.all(multi_proof_helper_indices([BLOCK_NUMBER_GINDEX, TIMESTAMP_GINDEX]).map(tree.node));
+            const root = await BeaconBlockHeader.hash_tree_root(header);
+            if (n >= LINKED_FROM) beacon_roots.set(n, root);
+            return { header, root, proof };
+        })());
+    }
+    return beacon_blocks.get(n);
+}
+
+export const DEPOSIT_CONTRACT = NETWORKS.mainnet.deposit_contract.toLowerCase();
+export const TRANSACTIONS_PER_BLOCK = 3;
+// Every DEPOSIT_INTERVAL blocks the first transaction is a deposit, the others transfer a token.
+export const DEPOSIT_INTERVAL = 100;
+const TOKEN = to_hex(seeded('token').subarray(0, 20));
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const DEPOSIT_TOPIC = '0x649bbc62d0e31342afea4e5cd82d4049e7e1ee912fc0889aa790803be39038c5';
+
+const address = (...parts) => to_hex(seeded(...parts).subarray(0, 20));
+
+/**
+ * The execution block n with its transactions, each of which emits one log.
+ * @returns {{number: number, hash: string, parent_hash: string, timestamp: number, miner: string, transactions: Array<object>}}
+ */
+export function execution_block(n) {
+    const hash = to_hex(seeded('block hash', n));
+    return {
+        number: n,
+        hash,
+        parent_hash: to_hex(seeded('block hash', n - 1)),
+        timestamp: block_timestamp(n),
+        miner: address('miner', n % 16),
+        transactions: Array.from({ length: TRANSACTIONS_PER_BLOCK }, (_, index) => {
+            const deposit = index === 0 && n % DEPOSIT_INTERVAL === 0;
+            return {
+                hash: to_hex(seeded('transaction', n, index)),
+                index,
+                from: address('sender', n, index),
+                to: deposit ? DEPOSIT_CONTRACT : TOKEN,
+                log: {
+                    address: deposit ? DEPOSIT_CONTRACT : TOKEN,
+                    topics: [deposit ? DEPOSIT_TOPIC : TRANSFER_TOPIC],
+                    data: to_hex(seeded('log data', n, index)),
+                },
+            };
+        }),
+    };
+}
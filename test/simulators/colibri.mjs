@@ -0,0 +1,262 @@
+// A Colibri prover answering `/version`, `/proof` and the light client updates its clients sync with, for the chain
+// of chain.mjs. The proofs of eth_blockNumber carry a valid multi proof of the block number and timestamp and a header
+// proof signed by the sync committees of the beacon simulator, the proofs of other methods carry the proven data with
+// opaque proof bytes, since the checks only look at the proof type and the data.
+import { from_hex } from '../../src/ssz.mjs';
+import { C4Request } from '../../src/colibri_proof.mjs';
+import { BeaconBlockHeader } from '../../src/lightclient.mjs';
+import { start_simulator, send_json, send_ssz } from './server.mjs';
+import { sign, period_update } from './beacon.mjs';
+import { latest_block, execution_block, beacon_block, seeded, seeded_bytes, sparse_tree, GENESIS_TIME, BLOCK_TIME } from './chain.mjs';
+
+// `no_cors` doesn't apply, the prover checks don't look at CORS headers.
+export const COLIBRI_FAULTS = ['bad_branch', 'no_ssz', 'stale', 'timeout', 'html_errors', 'bad_header_proof'];
+// How the proven header is linked to the signed header, in the order of the HeaderProof options.
+export const HEADER_PROOFS = ['signature', 'historic', 'header_chain'];
+
+// The proven block follows the head by PROOF_LAG blocks, by STALE_LAG blocks with the `stale` fault.
+const PROOF_LAG = 1;
+const STALE_LAG = 20;
+// The blocks searched for a hash or transaction.
+const SEARCHED_BLOCKS = 64;
+const MAX_LOG_BLOCKS = 16;
+const BEACON_ROOTS_ADDRESS = '0x000f3df6d732807ef1319fb7b8bb8522d0beac02';
+
+const VERSION = Uint8Array.of(1, 0, 1, 0);
+// The options of the C4Request unions, see colibri_proof.mjs.
+const DATA = { none: 0, bytes: 2, uint256: 3, receipt: 5, logs: 6, block: 7 };
+const PROOF = { account: 1, receipt: 3, logs: 4, call: 5, block: 7, block_number: 8 };
+const SYNC_DATA = { none: 0, zk: 2 };
+
+// The header of a historic proof is this many blocks newer, the block root of the proven header is in its block_roots.
+const HISTORIC_DISTANCE = 100;
+const BLOCK_ROOTS_GINDEX = 69n * 8192n;
+const HEADER_CHAIN_LENGTH = 3;
+
+/**
+ * The header proof of the header of block n, a SignatureProof or the HistoricProof or HeaderChainProof of a newer signed header.
+ * @param {number} n the proven block
+ * @param {string} type one of HEADER_PROOFS
+ * @param {boolean} tampered a wrong branch, header or signature, so the proof no longer verifies
+ */
+async function header_proof(n, type, tampered) {
+    const { header, root } = await beacon_block(n);
+    let signed = header, value = {};
+    if (type === 'historic') {
+        const gindex = BLOCK_ROOTS_GINDEX + header.slot % 8192n;
+        const state = await sparse_tree(new Map([[gindex, root]]), (g) => seeded('historic state', n, g));
+        const proof = await state.branch(gindex);
+        signed = { ...(await beacon_block(n + HISTORIC_DISTANCE)).header, state_root: state.root };
+        value = { proof: tampered ? [seeded('bad branch', n), ...proof.slice(1)] : proof, header: signed, gindex };
+    } else if (type === 'header_chain') {
+        let parent_root = root;
+        const headers = [];
+        for (let i = 1; i <= HEADER_CHAIN_LENGTH; i++) {
+            const { slot, proposer_index, state_root, body_root } = (await beacon_block(n + i)).header;
+            headers.push({ slot, proposer_index, state_root: tampered && i === 1 ? seeded('bad state', n) : state_root, body_root });
+            parent_root = await BeaconBlockHeader.hash_tree_root({ slot, proposer_index, parent_root, state_root, body_root });
+        }
+        signed = { ...(await beacon_block(n + HEADER_CHAIN_LENGTH + 1)).header, parent_root };
+        value = { headers, header: signed };
+    }
+    const sync_committee_bits = new Uint8Array(64).fill(255);
+    sync_committee_bits[0] = 0b00001111;
+    // a signature of the next slot's header doesn't verify for the signed header
+    const signed_message = tampered && type === 'signature' ? { ...signed, slot: signed.slot + 1n } : signed;
+    const sync_committee_signature = await sign({ beacon: signed_message }, signed.slot + 1n, sync_committee_bits);
+    return { selector: HEADER_PROOFS.indexOf(type), value: { ...value, sync_committee_bits, sync_committee_signature } };
+}
+
+const ssz_log = (block, transaction) => ({
+    block_hash: from_hex(block.hash),
+    block_number: BigInt(block.number),
+    transaction_hash: from_hex(transaction.hash),
+    transaction_index: transaction.index,
+    address: from_hex(transaction.log.address),
+    log_index: transaction.index,
+    removed: false,
+    topics: transaction.log.topics.map(from_hex),
+    data: from_hex(transaction.log.data),
+});
+
+const ssz_receipt = (block, transaction) => ({
+    _optmask: 0xff,
+    block_hash: from_hex(block.hash),
+    block_number: BigInt(block.number),
+    transaction_hash: from_hex(transaction.hash),
+    transaction_index: transaction.index,
+    type: 2,
+    from: from_hex(transaction.from),
+    to: from_hex(transaction.to),
+    cumulative_gas_used: BigInt(50000 * (transaction.index + 1)),
+    gas_used: 50000n,
+    logs: [ssz_log(block, transaction)],
+    logs_bloom: new Uint8Array(256),
+    status: 1,
+    effective_gas_price: 1000000000n,
+    deposit_nonce: 0n,
+    deposit_receipt_version: 0,
+});
+
+async function ssz_block(n) {
+    const block = execution_block(n);
+    return {
+        _optmask: 0xffff,
+        number: BigInt(n),
+        hash: from_hex(block.hash),
+        transactions: { selector: 0, value: block.transactions.map(t => from_hex(t.hash)) },
+        logs_bloom: new Uint8Array(256),
+        receipts_root: seeded('receipts root', n),
+        extra_data: new Uint8Array(0),
+        withdrawals_root: seeded('withdrawals root', n),
+        base_fee_per_gas: 1000000000n,
+        nonce: new Uint8Array(8),
+        miner: from_hex(block.miner),
+        withdrawals: [],
+        excess_blob_gas: 0n,
+        difficulty: 0n,
+        gas_limit: 45000000n,
+        gas_used: 150000n,
+        timestamp: BigInt(block.timestamp),
+        mix_hash: seeded('mix hash', n),
+        parent_hash: from_hex(block.parent_hash),
+        uncles: [],
+        parent_beacon_block_root: (await beacon_block(n - 1)).root,
+        sha3_uncles: seeded('uncles', n),
+        transactions_root: seeded('transactions root', n),
+        state_root: seeded('state root', n),
+        blob_gas_used: 0n,
+        requests_hash: seeded('requests hash', n),
+    };
+}
+
+class ProofError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Starts a Colibri prover simulator.
+ * @param {object} [options] the options of `start_simulator`: port, faults, delay and rate_limit
+ * @param {string} [options.header_proof] the header proof of the eth_blockNumber proofs, one of HEADER_PROOFS
+ */
+export async function start_colibri_simulator({ header_proof: header_proof_type = 'signature', ...options } = {}) {
+    if (!HEADER_PROOFS.includes(header_proof_type)) throw new Error(`Unsupported header proof ${header_proof_type} (supported: ${HEADER_PROOFS.join(', ')})`);
+    let simulator;
+    const proven_block = () => latest_block() - (simulator.faults.has('stale') ? STALE_LAG : PROOF_LAG);
+    const recent_blocks = () => Array.from({ length: SEARCHED_BLOCKS }, (_, i) => execution_block(proven_block() - i));
+    const block_param = (tag) => {
+        if (tag === undefined || tag === 'latest') return proven_block();
+        const n = Number(BigInt(tag));
+        if (n > proven_block()) throw new ProofError(404, `Block ${tag} is not proven yet`);
+        return n;
+    };
+
+    async function block_number_proof(zk) {
+        const n = proven_block();
+        const { header, proof } = await beacon_block(n);
+        const checkpoint = await header_proof(n, header_proof_type, simulator.faults.has('bad_header_proof'));
+        const value = {
+            block_number: BigInt(n),
+            timestamp: BigInt(execution_block(n).timestamp),
+            // a wrong sibling in the multi proof no longer leads to the body root of the header
+            proof: simulator.faults.has('bad_branch') ? [seeded('bad branch', n), ...proof.slice(1)] : proof,
+            header,
+            header_proof: checkpoint,
+        };
+        const sync_data = zk ? {
+            selector: SYNC_DATA.zk,
+            value: {
+                vk_hash: seeded('vk hash'),
+                proof: seeded_bytes(260, 'zk proof', n),
+                header,
+                pubkeys: Array.from({ length: 512 }, (_, i) => seeded_bytes(48, 'pubkey', i)),
+                checkpoint,
+                signatures: [],
+            },
+        } : { selector: SYNC_DATA.none, value: null };
+        return { data: { selector: DATA.none, value: null }, proof: { selector: PROOF.block_number, value }, sync_data };
+    }
+
+    // The data and the proof type of a method.
+    const METHODS = {
+        eth_getBlockByNumber: async ([tag]) => [DATA.block, await ssz_block(block_param(tag)), PROOF.block],
+        eth_getBlockByHash: async ([hash]) => {
+            const block = recent_blocks().find(b => b.hash === String(hash).toLowerCase());
+            if (!block) throw new ProofError(404, `Block ${hash} not found`);
+            return [DATA.block, await ssz_block(block.number), PROOF.block];
+        },
+        eth_getBalance: ([address, tag]) => {
+            block_param(tag);
+            return [DATA.uint256, BigInt('0x' + Buffer.from(seeded('balance', String(address).toLowerCase()).subarray(0, 8)).toString('hex')), PROOF.account];
+        },
+        eth_getTransactionReceipt: ([hash]) => {
+            for (const block of recent_blocks()) {
+                const transaction = block.transactions.find(t => t.hash === String(hash).toLowerCase());
+                if (transaction) return [DATA.receipt, ssz_receipt(block, transaction), PROOF.receipt];
+            }
+            throw new ProofError(404, `Transaction ${hash} not found`);
+        },
+        eth_getLogs: ([filter = {}]) => {
+            const from = block_param(filter.fromBlock), to = block_param(filter.toBlock);
+            if (to < from || to - from >= MAX_LOG_BLOCKS) throw new ProofError(400, `Block range must be 1 to ${MAX_LOG_BLOCKS} blocks`);
+            const logs = [];
+            for (let n = from; n <= to; n++) {
+                const block = execution_block(n);
+                logs.push(...block.transactions.map(transaction => ssz_log(block, transaction)));
+            }
+            return [DATA.logs, logs, PROOF.logs];
+        },
+        // the EIP-4788 contract returns the parent beacon block root of the block with the timestamp in the call data
+        eth_call: async ([call = {}, tag]) => {
+            block_param(tag);
+            if (String(call.to).toLowerCase() !== BEACON_ROOTS_ADDRESS) return [DATA.bytes, new Uint8Array(32), PROOF.call];
+            const n = Number((BigInt(call.data) - BigInt(GENESIS_TIME)) / BigInt(BLOCK_TIME));
+            return [DATA.bytes, (await beacon_block(n - 1)).root, PROOF.call];
+        },
+    };
+
+    async function proof(method, params, zk) {
+        if (method === 'eth_blockNumber') return block_number_proof(zk);
+        if (!METHODS[method]) throw new ProofError(400, `Method ${method} is not supported`);
+        const [data_selector, data, proof_selector] = await METHODS[method](params || []);
+        return {
+            data: { selector: data_selector, value: data },
+            proof: { selector: proof_selector, value: seeded_bytes(300, 'proof', method) },
+            sync_data: { selector: SYNC_DATA.none, value: null },
+        };
+    }
+
+    async function handle(request, res) {
+        if (request.method === 'GET' && request.path === '/version') return send_json(res, { vendor: 'colibri (simulator)', version: '1.0.0' });
+        if (request.method === 'GET' && request.path === '/eth/v1/beacon/light_client/updates') {
+            const start = Number(request.query.get('start_period')), count = Number(request.query.get('count'));
+            if (!Number.isInteger(start) || !Number.isInteger(count) || count < 1) return send_json(res, { code: 400, message: 'Invalid start_period or count' }, 400);
+            const items = await Promise.all(Array.from({ length: Math.min(count, 128) }, (_, i) => period_update(start + i)));
+            return send_json(res, items.map(({ fork, update }) => ({ version: fork.name, data: fork.types.LightClientUpdate.to_json(update) })));
+        }
+        if (request.method !== 'POST' || request.path !== '/proof') return send_json(res, { error: { code: 404, message: 'not found' } }, 404);
+        let body;
+        try {
+            body = JSON.parse(request.body);
+        } catch {
+            return send_json(res, { error: { code: 400, message: 'invalid JSON' } }, 400);
+        }
+        if (simulator.faults.has('no_ssz')) return send_json(res, { error: { code: -32603, message: 'SSZ encoding is not supported' } });
+        try {
+            send_ssz(res, C4Request.serialize({ version: VERSION, ...await proof(body.method, body.params, !!body.zk_proof) }));
+        } catch (error) {
+            if (!error.status) throw error;
+            send_json(res, { error: { code: error.status, message: error.message } }, error.status);
+        }
+    }
+
+    simulator = await start_simulator(handle, {
+        ...options,
+        supported: COLIBRI_FAULTS,
+        is_version_probe: (request) => request.path === '/version',
+    });
+    return simulator;
+}
@@ -0,0 +1,296 @@
+// An execution node serving the JSON-RPC methods the execution checks use, on the chain of chain.mjs with chain id 1.
+// The state is the same in every block: a few accounts with storage, proven with real Merkle-Patricia proofs.
+import { WebSocketServer } from 'ws';
+import { from_hex, to_hex } from '../../src/ssz.mjs';
+import { keccak256, rlp_encode, trie_root, trie_proof, receipts_root, EMPTY_TRIE_ROOT, EMPTY_CODE_HASH } from '../../src/mpt.mjs';
+import { start_simulator, send_json } from './server.mjs';
+import { latest_block, execution_block, beacon_block, seeded, DEPOSIT_CONTRACT, DEPOSIT_INTERVAL, TRANSACTIONS_PER_BLOCK } from './chain.mjs';
+
+// `no_ssz` and `stale` don't apply to JSON-RPC.
+export const EXECUTION_FAULTS = ['bad_branch', 'no_cors', 'timeout', 'html_errors'];
+
+export const CLIENT_VERSION = 'Geth/v1.16.0-stable/linux-amd64/go1.24.4 (simulator)';
+export const MAX_BATCH_SIZE = 100;
+export const MAX_LOG_RANGE = 10000;
+export const MAX_LOG_RESULTS = 2000;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const BEACON_ROOTS_ADDRESS = '0x000f3df6d732807ef1319fb7b8bb8522d0beac02';
+const ZERO_BLOOM = '0x' + '00'.repeat(256);
+
+const quantity = (value) => '0x' + BigInt(value).toString(16);
+const slot_key = (slot) => from_hex(BigInt(slot).toString(16).padStart(64, '0'));
+
+// --- state ---
+
+const ACCOUNTS = [
+    { address: ZERO_ADDRESS, nonce: 0n, balance: 13370000000000000000000n, storage: {} },
+    { address: DEPOSIT_CONTRACT, nonce: 1n, balance: 72000000000000000000000000n, code: 'deposit', storage: { 0x0: 0xa1n, 0x20: 0xb2n, 0x22: 0xc3n } },
+    // slots 0x0 and 0x1 of the ring buffer are empty, so the checks get proofs of absence for them
+    { address: BEACON_ROOTS_ADDRESS, nonce: 1n, balance: 0n, code: 'beacon roots', storage: { 0x2: 0x1234n, 0x1fff: 0x5678n } },
+    ...Array.from({ length: 32 }, (_, i) => ({ address: to_hex(seeded('account', i).subarray(0, 20)), nonce: BigInt(i), balance: BigInt(i) * 10n ** 18n, storage: {} })),
+];
+
+const STATE = (() => {
+    const accounts = ACCOUNTS.map(account => {
+        const storage = Object.entries(account.storage).map(([slot, value]) => [keccak256(slot_key(slot)), rlp_encode(value)]);
+        return {
+            ...account,
+            storage_entries: storage,
+            storage_hash: trie_root(storage),
+            code_hash: account.code ? to_hex(keccak256(new TextEncoder().encode(account.code))) : EMPTY_CODE_HASH,
+        };
+    });
+    const entries = accounts.map(a => [keccak256(a.address), rlp_encode([a.nonce, a.balance, a.storage_hash, a.code_hash])]);
+    return { accounts, entries, root: trie_root(entries) };
+})();
+
+const account_of = (address) => STATE.accounts.find(a => a.address === String(address).toLowerCase());
+
+function get_proof(address, storage_keys, bad_branch) {
+    const account = account_of(address);
+    let account_proof = trie_proof(STATE.entries, keccak256(address));
+    // drops a node of the path, so the proof no longer leads from the state root to the account
+    if (bad_branch) account_proof = account_proof.filter((_, i) => i !== 1);
+    return {
+        address,
+        accountProof: account_proof,
+        balance: quantity(account ? account.balance : 0n),
+        codeHash: account ? account.code_hash : EMPTY_CODE_HASH,
+        nonce: quantity(account ? account.nonce : 0n),
+        storageHash: account ? account.storage_hash : EMPTY_TRIE_ROOT,
+        storageProof: storage_keys.map(key => ({
+            key,
+            value: quantity(account?.storage[Number(BigInt(key))] || 0n),
+            proof: account ? trie_proof(account.storage_entries, keccak256(slot_key(key))) : [],
+        })),
+    };
+}
+
+// --- blocks ---
+
+const rpc_log = (block, transaction) => ({
+    ...transaction.log,
+    blockNumber: quantity(block.number),
+    blockHash: block.hash,
+    transactionHash: transaction.hash,
+    transactionIndex: quantity(transaction.index),
+    logIndex: quantity(transaction.index),
+    removed: false,
+});
+
+const rpc_receipt = (block, transaction) => ({
+    type: '0x2',
+    status: '0x1',
+    cumulativeGasUsed: quantity(50000 * (transaction.index + 1)),
+    logsBloom: ZERO_BLOOM,
+    logs: [rpc_log(block, transaction)],
+    transactionHash: transaction.hash,
+    transactionIndex: quantity(transaction.index),
+    blockHash: block.hash,
+    blockNumber: quantity(block.number),
+    from: transaction.from,
+    to: transaction.to,
+    gasUsed: '0xc350',
+    effectiveGasPrice: '0x3b9aca00',
+    contractAddress: null,
+});
+
+const block_cache = new Map();
+async function rpc_block(n) {
+    if (!block_cache.has(n)) {
+        if (block_cache.size > 256) block_cache.delete(block_cache.keys().next().value);
+        const block = execution_block(n);
+        const receipts = block.transactions.map(transaction => rpc_receipt(block, transaction));
+        block_cache.set(n, {
+            receipts,
+            header: {
+                number: quantity(n),
+                hash: block.hash,
+                parentHash: block.parent_hash,
+                timestamp: quantity(block.timestamp),
+                miner: block.miner,
+                stateRoot: STATE.root,
+                receiptsRoot: receipts_root(receipts),
+                transactionsRoot: to_hex(seeded('transactions root', n)),
+                logsBloom: ZERO_BLOOM,
+                gasLimit: '0x2aea540',
+                gasUsed: quantity(50000 * TRANSACTIONS_PER_BLOCK),
+                baseFeePerGas: '0x3b9aca00',
+                extraData: '0x',
+                transactions: block.transactions.map(t => t.hash),
+                parentBeaconBlockRoot: to_hex((await beacon_block(n - 1)).root),
+            },
+        });
+    }
+    return block_cache.get(n);
+}
+
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// The number of a block parameter, null for blocks after the head.
+function block_number(tag) {
+    const latest = latest_block();
+    if (['latest', 'safe', 'finalized', 'pending', undefined].includes(tag)) return latest;
+    if (tag === 'earliest') return 0;
+    if (typeof tag !== 'string' || !/^0x[0-9a-f]+$/i.test(tag)) throw new RpcError(-32602, `invalid argument: hex string without 0x prefix or invalid block tag ${tag}`);
+    const number = Number(BigInt(tag));
+    return number > latest ? null : number;
+}
+
+function logs_of_range(from, to, address) {
+    const logs = [];
+    const add = (n) => {
+        const block = execution_block(n);
+        for (const transaction of block.transactions) {
+            if (!address || transaction.log.address === address) logs.push(rpc_log(block, transaction));
+        }
+    };
+    if (address === DEPOSIT_CONTRACT) {
+        for (let n = Math.ceil(from / DEPOSIT_INTERVAL) * DEPOSIT_INTERVAL; n <= to; n += DEPOSIT_INTERVAL) add(n);
+    } else {
+        if (!address && (to - from + 1) * TRANSACTIONS_PER_BLOCK > MAX_LOG_RESULTS) {
+            throw new RpcError(-32602, `query returned more than ${MAX_LOG_RESULTS} results`);
+        }
+        for (let n = from; n <= to; n++) add(n);
+    }
+    return logs;
+}
+
+/**
+ * Starts an execution node simulator, serving JSON-RPC over HTTP and eth_subscribe over WebSocket at the same url.
+ * @param {object} [options] the options of `start_simulator` and
+ * @param {number} [options.state_history] the number of recent blocks whose state is served, all if omitted
+ */
+export async function start_execution_simulator(options = {}) {
+    const state_history = options.state_history ?? Infinity;
+    let simulator;
+
+    // The block of a state query, failing like a pruned node for blocks outside of the state history.
+    function state_block(tag) {
+        const n = block_number(tag);
+        if (n === null) throw new RpcError(-32000, 'header not found');
+        if (latest_block() - n >= state_history) throw new RpcError(-32000, `missing trie node ${to_hex(seeded('trie node', n))} (path ) state is not available`);
+        return n;
+    }
+
+    const METHODS = {
+        web3_clientVersion: () => CLIENT_VERSION,
+        eth_chainId: () => '0x1',
+        net_version: () => '1',
+        eth_blockNumber: () => quantity(latest_block()),
+        eth_getBlockByNumber: async ([tag]) => {
+            const n = block_number(tag);
+            return n === null ? null : (await rpc_block(n)).header;
+        },
+        eth_getBlockReceipts: async ([tag]) => {
+            const n = block_number(tag);
+            return n === null ? null : (await rpc_block(n)).receipts;
+        },
+        eth_getLogs: ([filter = {}]) => {
+            const from = block_number(filter.fromBlock), to = block_number(filter.toBlock);
+            if (from === null || to === null || from > to) throw new RpcError(-32602, 'invalid block range params');
+            if (to - from + 1 > MAX_LOG_RANGE) throw new RpcError(-32602, `exceed maximum block range: ${MAX_LOG_RANGE}`);
+            return logs_of_range(from, to, filter.address && String(filter.address).toLowerCase());
+        },
+        eth_getBalance: ([address, tag]) => {
+            state_block(tag);
+            return quantity(account_of(address)?.balance || 0n);
+        },
+        eth_getTransactionCount: ([address, tag]) => {
+            state_block(tag);
+            return quantity(account_of(address)?.nonce || 0n);
+        },
+        eth_getProof: ([address, storage_keys = [], tag]) => {
+            state_block(tag);
+            // like erigon, which unmarshals the keys as hashes
+            const short_key = storage_keys.find(key => !/^0x[0-9a-f]{64}$/i.test(key));
+            if (short_key !== undefined) throw new RpcError(-32602, `invalid argument 1: hex string has length ${String(short_key).length - 2}, want 64 for common.Hash`);
+            return get_proof(String(address).toLowerCase(), storage_keys, simulator.faults.has('bad_branch'));
+        },
+        // get_deposit_count() of the deposit contract, empty results for other calls
+        eth_call: ([call = {}, tag]) => {
+            state_block(tag);
+            return String(call.to).toLowerCase() === DEPOSIT_CONTRACT ? '0x' + '00'.repeat(31) + '2a' : '0x';
+        },
+        eth_createAccessList: () => ({ accessList: [], gasUsed: '0x5208' }),
+        debug_traceCall: ([, , config = {}]) => {
+            if (config.tracer && config.tracer !== 'prestateTracer') throw new RpcError(-32602, `tracer ${config.tracer} not found`);
+            return { [ZERO_ADDRESS]: { balance: quantity(ACCOUNTS[0].balance) } };
+        },
+    };
+
+    async function answer(call) {
+        if (!call || typeof call !== 'object' || call.jsonrpc !== '2.0' || typeof call.method !== 'string') {
+            return { jsonrpc: '2.0', id: call?.id ?? null, error: { code: -32600, message: 'invalid request' } };
+        }
+        const method = METHODS[call.method];
+        if (!method) return { jsonrpc: '2.0', id: call.id, error: { code: -32601, message: `the method ${call.method} does not exist/is not available` } };
+        try {
+            return { jsonrpc: '2.0', id: call.id, result: await method(call.params || []) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id: call.id, error: { code: error.code || -32603, message: error.message } };
+        }
+    }
+
+    async function handle(request, res) {
+        if (request.method !== 'POST') return send_json(res, { code: 404, message: 'not found' }, 404);
+        let body;
+        try {
+            body = JSON.parse(request.body);
+        } catch (error) {
+            return send_json(res, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'parse error' } });
+        }
+        if (!Array.isArray(body)) return send_json(res, await answer(body));
+        if (body.length > MAX_BATCH_SIZE) {
+            return send_json(res, { jsonrpc: '2.0', id: null, error: { code: -32600, message: `batch too large, at most ${MAX_BATCH_SIZE} requests` } });
+        }
+        send_json(res, await Promise.all(body.map(answer)));
+    }
+
+    const is_version_probe = (request) => {
+        try {
+            return JSON.parse(request.body).method === 'web3_clientVersion';
+        } catch {
+            return false;
+        }
+    };
+    simulator = await start_simulator(handle, { ...options, supported: EXECUTION_FAULTS, is_version_probe });
+
+    // newHeads subscriptions, the header of the latest block is sent shortly after subscribing
+    const wss = new WebSocketServer({ server: simulator.server });
+    wss.on('connection', (socket) => {
+        let subscriptions = 0;
+        socket.on('message', async (data) => {
+            let call;
+            try {
+                call = JSON.parse(String(data));
+            } catch {
+                return socket.send(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'parse error' } }));
+            }
+            if (call.method !== 'eth_subscribe') return socket.send(JSON.stringify(await answer(call)));
+            if (call.params?.[0] !== 'newHeads') {
+                return socket.send(JSON.stringify({ jsonrpc: '2.0', id: call.id, error: { code: -32602, message: `unsupported subscription ${call.params?.[0]}` } }));
+            }
+            const subscription = quantity(++subscriptions);
+            socket.send(JSON.stringify({ jsonrpc: '2.0', id: call.id, result: subscription }));
+            const { header } = await rpc_block(latest_block());
+            setTimeout(() => {
+                if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription, result: header } }));
+            }, 100);
+        });
+    });
+
+    const close = simulator.close;
+    simulator.close = () => {
+        for (const client of wss.clients) client.terminate();
+        wss.close();
+        return close();
+    };
+    return simulator;
+}
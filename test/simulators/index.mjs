@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Starts the three simulators, e.g. to try the checker without network access:
+//   node test/simulators/index.mjs [--faults stale,no_cors] [--delay <ms>] [--rate-limit <requests per second>]
+// Every fault is switched on for the simulators supporting it, see server.mjs.
+import { parseArgs } from 'node:util';
+import { FAULTS } from './server.mjs';
+import { start_beacon_simulator, BEACON_FAULTS } from './beacon.mjs';
+import { start_execution_simulator, EXECUTION_FAULTS } from './execution.mjs';
+import { start_colibri_simulator, COLIBRI_FAULTS } from './colibri.mjs';
+
+const SIMULATORS = [
+    { type: 'beacon', start: start_beacon_simulator, faults: BEACON_FAULTS, port: 5052 },
+    { type: 'execution', start: start_execution_simulator, faults: EXECUTION_FAULTS, port: 8545 },
+    { type: 'colibri', start: start_colibri_simulator, faults: COLIBRI_FAULTS, port: 8090 },
+];
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            'faults': { type: 'string', default: '' },
+            'delay': { type: 'string', default: '10000' },
+            'rate-limit': { type: 'string', default: '0' },
+        },
+    });
+    const faults = values.faults.split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = faults.find(fault => !FAULTS.includes(fault));
+    if (unknown) throw new Error(`Unknown fault ${unknown} (${FAULTS.join(', ')})`);
+
+    const running = [];
+    for (const { type, start, faults: supported, port } of SIMULATORS) {
+        const simulator = await start({
+            port,
+            faults: faults.filter(fault => supported.includes(fault)),
+            delay: Number(values.delay),
+            rate_limit: Number(values['rate-limit']),
+        });
+        running.push(simulator);
+        console.log(`${type.padEnd(9)} ${simulator.url}${simulator.faults.size ? ` (${[...simulator.faults].join(', ')})` : ''}`);
+    }
+    const stop = () => Promise.all(running.map(simulator => simulator.close())).then(() => process.exit(0));
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,120 @@
+// HTTP plumbing shared by the simulator nodes: CORS headers, the faults every simulator supports and an optional rate limit.
+//
+// Faults are switched on with the `faults` option or at runtime by adding them to the `faults` set of a running simulator:
+//   bad_branch   proofs and light client objects with a wrong Merkle branch
+//   no_cors      no access-control-allow-origin header
+//   no_ssz       JSON instead of SSZ for requests accepting application/octet-stream
+//   stale        light client updates and proofs of blocks far behind the head
+//   timeout      every response is delayed by `delay` ms
+//   html_errors  every request except the version probe fails with the HTML error page of a proxy
+//   bad_header_proof  Colibri proofs whose header proof does not lead to a valid sync committee signature
+import http from 'node:http';
+
+export const FAULTS = ['bad_branch', 'no_cors', 'no_ssz', 'stale', 'timeout', 'html_errors', 'bad_header_proof'];
+
+const HTML_ERROR_PAGE = [
+    '<html>',
+    '<head><title>502 Bad Gateway</title></head>',
+    '<body>',
+    '<center><h1>502 Bad Gateway</h1></center>',
+    '<hr><center>nginx</center>',
+    '</body>',
+    '</html>',
+].join('\r\n');
+
+export function send_json(res, body, status = 200, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body, (key, value) => typeof value === 'bigint' ? String(value) : value));
+}
+
+export function send_ssz(res, bytes, headers = {}) {
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream', ...headers });
+    res.end(bytes);
+}
+
+// A per second window of the rate limit, answering 429 with the headers providers send.
+function rate_limiter(limit) {
+    let window = 0, count = 0;
+    return (res) => {
+        const now = Math.floor(Date.now() / 1000);
+        if (now !== window) [window, count] = [now, 0];
+        count++;
+        const headers = { 'X-RateLimit-Limit': String(limit), 'X-RateLimit-Remaining': String(Math.max(0, limit - count)) };
+        for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+        if (count <= limit) return false;
+        send_json(res, { code: 429, message: 'Too Many Requests' }, 429, { 'Retry-After': '1' });
+        return true;
+    };
+}
+
+/**
+ * Starts a simulator on a local port.
+ * @param {Function} handler `(request, res)` answering a request `{method, path, query, headers, body}`
+ * @param {object} options
+ * @param {number} [options.port] the port, a free one if 0
+ * @param {string[]} [options.faults] the faults switched on from the start
+ * @param {string[]} [options.supported] the faults the simulator supports
+ * @param {number} [options.delay] the delay of the responses in ms while the `timeout` fault is on
+ * @param {number} [options.rate_limit] the number of requests per second answered, unlimited if 0
+ * @param {Function} [options.is_version_probe] the requests still answered with the `html_errors` fault
+ * @returns {Promise<{url: string, server: http.Server, faults: Set<string>, close: Function}>}
+ */
+export async function start_simulator(handler, { port = 0, faults = [], supported = FAULTS, delay = 10000, rate_limit = 0, is_version_probe = () => false } = {}) {
+    const unsupported = faults.find(fault => !supported.includes(fault));
+    if (unsupported) throw new Error(`Unsupported fault ${unsupported} (supported: ${supported.join(', ')})`);
+    const active = new Set(faults);
+    const timers = new Set();
+    const limited = rate_limit ? rate_limiter(rate_limit) : () => false;
+    const sleep = (ms) => new Promise(resolve => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            resolve();
+        }, ms);
+        timers.add(timer);
+    });
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') };
+            if (!active.has('no_cors')) {
+                res.setHeader('Access-Control-Allow-Origin', '*');
+                res.setHeader('Access-Control-Allow-Headers', '*');
+            }
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                return res.end();
+            }
+            if (active.has('timeout')) await sleep(delay);
+            if (res.destroyed || limited(res)) return;
+            if (active.has('html_errors') && !is_version_probe(request)) {
+                res.writeHead(502, { 'Content-Type': 'text/html' });
+                return res.end(HTML_ERROR_PAGE);
+            }
+            try {
+                await handler(request, res);
+            } catch (error) {
+                if (!res.headersSent) send_json(res, { code: 500, message: error.message }, 500);
+                else res.destroy();
+            }
+        });
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        server,
+        faults: active,
+        close() {
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
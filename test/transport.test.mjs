@@ -0,0 +1,75 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transport, public_url, redact_urls, split_credentials } from '../src/transport.mjs';
+import { start_simulator, send_json } from './simulators/server.mjs';
+
+describe('transport', () => {
+    // answers the first `failures` requests of a path with its status, then with 200
+    let node, requests;
+    const failures = { '/flaky': 2, '/limited': 1, '/down': Infinity };
+    before(async () => node = await start_simulator((request, res) => {
+        requests.push({ path: request.path, time: Date.now(), authorization: request.headers.authorization });
+        const count = requests.filter(r => r.path === request.path).length;
+        if (request.path === '/limited' && count <= failures['/limited']) return send_json(res, { message: 'slow down' }, 429, { 'Retry-After': '1' });
+        if (count <= (failures[request.path] || 0)) return send_json(res, { message: 'unavailable' }, 503);
+        send_json(res, { ok: true });
+    }));
+    after(() => node.close());
+    const reset = () => requests = [];
+
+    it('retries 5xx responses with exponential backoff', async () => {
+        reset();
+        const response = await new Transport(node.url, { retries: 2, retry_delay: 100 }).fetch(`${node.url}/flaky`);
+        assert.equal(response.status, 200);
+        assert.equal(requests.length, 3);
+        assert.ok(requests[1].time - requests[0].time >= 90);
+        assert.ok(requests[2].time - requests[1].time >= 190);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        reset();
+        const response = await new Transport(node.url, { retries: 1, retry_delay: 10 }).fetch(`${node.url}/limited`);
+        assert.equal(response.status, 200);
+        assert.equal(requests.length, 2);
+        assert.ok(requests[1].time - requests[0].time >= 950);
+    });
+
+    it('returns the last response once the retries are used up', async () => {
+        reset();
+        const response = await new Transport(node.url, { retries: 1, retry_delay: 10 }).fetch(`${node.url}/down`);
+        assert.equal(response.status, 503);
+        assert.equal(requests.length, 2);
+    });
+
+    it('retries network errors and times out single attempts', async () => {
+        const closed = await start_simulator(() => { });
+        await closed.close();
+        await assert.rejects(new Transport(closed.url, { retries: 1, retry_delay: 10 }).fetch(`${closed.url}/`), /fetch failed/);
+        const slow = await start_simulator(() => { }, { faults: ['timeout'], delay: 1000 });
+        try {
+            await assert.rejects(new Transport(slow.url, { timeout: 100 }).fetch(`${slow.url}/`), /^Error: Request timed out after 0.1 seconds$/);
+        } finally {
+            await slow.close();
+        }
+    });
+
+    it('sends the credentials of the url as basic auth', async () => {
+        reset();
+        const transport = new Transport(node.url.replace('://', '://user:p%40ss@') + '/');
+        assert.equal(transport.url, node.url);
+        await transport.fetch(`${transport.url}/ok`);
+        assert.equal(requests[0].authorization, `Basic ${btoa('user:p@ss')}`);
+    });
+
+    it('strips credentials and trailing slashes from public urls', () => {
+        assert.deepEqual(split_credentials('https://user:pw@host/path'), { url: 'https://host/path', basic_auth: 'user:pw' });
+        assert.equal(public_url(' https://user:pw@host/v2/ '), 'https://host/v2');
+    });
+
+    it('strips credentials from the urls in error messages', () => {
+        assert.equal(
+            redact_urls('fetch https://user:pw@beacon/eth failed, http://a:b@exec: timeout'),
+            'fetch https://beacon/eth failed, http://exec: timeout',
+        );
+    });
+});